@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+require('dotenv').config();
+const { Pool } = require('pg');
+const { migrateUp, migrateDown, migrationStatus } = require('../lib/migrations');
+
+const USAGE = 'Usage: npm run migrate [-- up [--to N] | down [--steps N] | status]';
+
+// A non-negative whole number after --name, or undefined when the flag is absent
+function option(args, name) {
+  const i = args.indexOf(`--${name}`);
+  if (i === -1) return undefined;
+  if (!/^\d+$/.test(args[i + 1] || '')) {
+    throw new Error(`--${name} needs a non-negative whole number\n${USAGE}`);
+  }
+  return parseInt(args[i + 1], 10);
+}
+
+async function main() {
+  const [command = 'up', ...args] = process.argv.slice(2);
+  const to = option(args, 'to');
+  const steps = option(args, 'steps');
+  if (!process.env.DATABASE_URL) {
+    throw new Error('DATABASE_URL is not set - migrations only apply to Postgres');
+  }
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: { rejectUnauthorized: false }
+  });
+  try {
+    switch (command) {
+      case 'up': {
+        const applied = await migrateUp(pool, { to });
+        console.log(applied.length ? applied.map(n => `Applied ${n}`).join('\n') : 'Already up to date');
+        break;
+      }
+      case 'down': {
+        const reverted = await migrateDown(pool, { steps });
+        console.log(reverted.length ? reverted.map(n => `Reverted ${n}`).join('\n') : 'Nothing to roll back');
+        break;
+      }
+      case 'status': {
+        const rows = await migrationStatus(pool);
+        rows.forEach(m => console.log(`${m.applied_at ? '[x]' : '[ ]'} ${m.name}`));
+        break;
+      }
+      default:
+        throw new Error(`Unknown command "${command}" (expected up, down or status)\n${USAGE}`);
+    }
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(err => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,327 @@
+#!/usr/bin/env node
+// Scripting the planner from the shell. Talks to a running server's API, so edits get
+// the same validation, history, live updates and webhooks as edits made in the app.
+//
+// Usage: planner <command> [options]
+//   list [filters] [--json]                  articles in the plan, one per line
+//   set <article_id>... [--status S] [--week N]
+//   export [filters] [--format csv|json] [--out FILE]
+//   import <FILE.csv|FILE.json> [--dry-run]   same rules as the app's CSV import
+//   export-drafts --out DIR                   written/published drafts as Markdown with front matter
+//   seed                                      adds the articles from public/data.js that the plan doesn't have yet
+//   migrate [up [--to N] | down [--steps N] | status]
+//   plans                                     plans you can open, for --plan
+//
+// Filters: --search, --category, --priority, --funnel, --status, --assignee (a user id or me),
+// --week-from, --week-to, --sort
+// Every command but migrate takes --plan SLUG (default: the default plan) and signs in with
+// PLANNER_TOKEN (or CONTENT_TOKEN) at PLANNER_URL (or PUBLIC_URL, or localhost:PORT);
+// --url and --token override them.
+//
+// Exit codes: 0 done, 1 failed, 2 invalid input (bad options, or the server rejected the data)
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { spawnSync } = require('child_process');
+const { toCsv } = require('../lib/csv');
+const { CSV_COLUMNS } = require('../lib/importer');
+
+const EXIT_FAILED = 1;
+const EXIT_INVALID = 2;
+const FLAGS = ['json', 'dry-run'];
+const FILTERS = ['search', 'category', 'priority', 'funnel', 'status', 'assignee', 'week-from', 'week-to', 'sort'];
+
+function fail(message, exitCode = EXIT_FAILED, details) {
+  return Object.assign(new Error(message), { exitCode, details });
+}
+
+// Splits argv into positionals and --options; FLAGS take no value
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const name = arg.slice(2);
+    if (FLAGS.includes(name)) {
+      options[name] = true;
+    } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+      options[name] = argv[++i];
+    } else {
+      throw fail(`--${name} needs a value`, EXIT_INVALID);
+    }
+  }
+  return { positional, options };
+}
+
+function checkOptions(options, allowed) {
+  const unknown = Object.keys(options).filter(name => !['plan', 'url', 'token', ...allowed].includes(name));
+  if (unknown.length) {
+    throw fail(`Unknown option ${unknown.map(name => `--${name}`).join(', ')}`, EXIT_INVALID);
+  }
+}
+
+// Filter options as /api/articles query parameters
+function filterQuery(options) {
+  const params = new URLSearchParams();
+  FILTERS.filter(name => options[name] !== undefined).forEach(name => params.set(name.replace('-', '_'), options[name]));
+  return params;
+}
+
+function createClient({ url, token, plan }) {
+  const base = url.replace(/\/+$/, '');
+  const prefix = plan ? `/api/plans/${encodeURIComponent(plan)}` : '/api';
+  let cookie = null;
+
+  async function send(pathname, init = {}) {
+    try {
+      return await fetch(`${base}${pathname}`, { ...init, headers: { ...init.headers, ...(cookie && { Cookie: cookie }) } });
+    } catch (err) {
+      throw fail(`Can't reach the planner at ${base} (${err.cause?.code || err.message}) - is the server running?`);
+    }
+  }
+
+  async function signIn() {
+    if (!token) {
+      throw fail('Set PLANNER_TOKEN (or pass --token) to your login token', EXIT_INVALID);
+    }
+    const res = await send(`/auth?token=${encodeURIComponent(token)}`, { redirect: 'manual' });
+    const match = (res.headers.get('set-cookie') || '').match(/sf_session=([^;]+)/);
+    if (res.status === 401) throw fail('The login token was not accepted');
+    if (!match) throw fail(`Sign-in failed (HTTP ${res.status})`);
+    cookie = `sf_session=${match[1]}`;
+  }
+
+  // Ends the session signIn started, so scripted runs don't leave sessions behind
+  async function signOut() {
+    if (cookie) await send('/logout', { redirect: 'manual' }).catch(() => {});
+    cookie = null;
+  }
+
+  // Plan-scoped API call; resolves to the Response, throws on error statuses
+  async function request(pathname, { method = 'GET', body, headers = {}, global = false } = {}) {
+    const init = { method, headers: { ...headers } };
+    if (body !== undefined) {
+      init.body = typeof body === 'string' ? body : JSON.stringify(body);
+      if (!init.headers['Content-Type']) init.headers['Content-Type'] = 'application/json';
+    }
+    const res = await send(`${global ? '/api' : prefix}${pathname}`, init);
+    if (res.ok) return res;
+    const data = await res.json().catch(() => ({}));
+    const message = data.error || `HTTP ${res.status}`;
+    if (res.status === 400) throw fail(message, EXIT_INVALID, data.details || data);
+    if (message === 'Plan not found') throw fail(`Plan "${plan}" not found`, EXIT_INVALID);
+    throw fail(message);
+  }
+
+  async function json(pathname, init) {
+    return (await request(pathname, init)).json();
+  }
+
+  return { signIn, signOut, request, json };
+}
+
+// The seed articles the app falls back to, from the browser script that defines them
+function loadSeedArticles() {
+  const file = path.join(__dirname, '..', 'public', 'data.js');
+  return vm.runInNewContext(`${fs.readFileSync(file, 'utf8')}\nstaticArticles;`, {}, { filename: file });
+}
+
+// JSON files may be an export (article_id/word_count) or seed-shaped (id/wordCount),
+// as a bare array or { articles: [...] }
+function jsonToCsv(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw fail(`Not valid JSON: ${err.message}`, EXIT_INVALID);
+  }
+  const articles = Array.isArray(data) ? data : data?.articles;
+  if (!Array.isArray(articles)) {
+    throw fail('JSON must be an array of articles or { "articles": [...] }', EXIT_INVALID);
+  }
+  const rows = articles.map(a => ({ ...a, article_id: a.article_id ?? a.id, word_count: a.word_count ?? a.wordCount }));
+  return toCsv(rows, CSV_COLUMNS);
+}
+
+function printTable(articles) {
+  const rows = articles.map(a => [a.article_id, a.week ?? '-', a.status, a.priority || '-', a.title]);
+  const widths = [0, 1, 2, 3].map(col => Math.max(...rows.map(row => String(row[col]).length), 0));
+  rows.forEach(row => console.log(row.map((cell, col) => col < 4 ? String(cell).padEnd(widths[col]) : cell).join('  ')));
+}
+
+function printDetails(details) {
+  if (Array.isArray(details)) {
+    details.forEach(item => {
+      const { errors, ...where } = item;
+      const label = Object.entries(where).map(([key, value]) => `${key} ${value}`).join(', ');
+      const messages = Array.isArray(errors) ? errors : Object.entries(errors || {}).map(([field, msg]) => `${field} ${msg}`);
+      console.error(`  ${label}: ${messages.join('; ')}`);
+    });
+  } else if (details && typeof details === 'object') {
+    Object.entries(details).forEach(([field, msg]) => console.error(`  ${field}: ${typeof msg === 'string' ? msg : JSON.stringify(msg)}`));
+  }
+}
+
+function printImportReport(report) {
+  (report.errors || []).forEach(message => console.error(message));
+  report.rows?.forEach(row => {
+    if (row.action === 'error') {
+      console.error(`  row ${row.row} (${row.article_id || 'no article_id'}): ${row.errors.join('; ')}`);
+    } else if (row.action !== 'unchanged') {
+      const fields = row.changes ? ` ${row.changes.map(c => c.field).join(', ')}` : '';
+      console.log(`  ${row.action} ${row.article_id}${fields}`);
+    }
+    (row.warnings || []).forEach(warning => console.log(`    warning: ${warning}`));
+  });
+  const { create, update, unchanged, error } = report.summary;
+  console.log(`${create} to create, ${update} to update, ${unchanged} unchanged, ${error} with errors`);
+}
+
+const commands = {
+  async plans(client, positional, options) {
+    checkOptions(options, []);
+    // The oldest plan is the default
+    const plans = await client.json('/plans', { global: true });
+    plans.forEach((plan, i) => console.log(`${plan.slug.padEnd(20)}  ${plan.year}  ${plan.name}${i === 0 ? ' (default)' : ''}`));
+  },
+
+  async list(client, positional, options) {
+    checkOptions(options, [...FILTERS, 'json']);
+    const articles = await client.json(`/articles?${filterQuery(options)}`);
+    if (options.json) {
+      console.log(JSON.stringify(articles, null, 2));
+    } else {
+      printTable(articles);
+    }
+  },
+
+  async set(client, ids, options) {
+    checkOptions(options, ['status', 'week']);
+    if (!ids.length) throw fail('Name at least one article_id', EXIT_INVALID);
+    const changes = {};
+    if (options.status !== undefined) changes.status = options.status;
+    if (options.week !== undefined) {
+      if (!/^\d+$/.test(options.week)) throw fail('--week must be a whole number', EXIT_INVALID);
+      changes.week = Number(options.week);
+    }
+    if (!Object.keys(changes).length) throw fail('Nothing to set - pass --status and/or --week', EXIT_INVALID);
+
+    const byArticleId = new Map((await client.json('/articles')).map(a => [a.article_id, a]));
+    const missing = ids.filter(id => !byArticleId.has(id));
+    if (missing.length) throw fail(`No article ${missing.join(', ')} in this plan`, EXIT_INVALID);
+    for (const id of ids) {
+      const article = byArticleId.get(id);
+      const updated = await client.json(`/articles/${article.id}`, {
+        method: 'PATCH',
+        body: changes,
+        headers: { 'If-Match': `"${article.version}"` }
+      });
+      console.log(`${id}: week ${updated.week ?? '-'}, ${updated.status}`);
+    }
+  },
+
+  async export(client, positional, options) {
+    checkOptions(options, [...FILTERS, 'format', 'out']);
+    const format = options.format || (options.out && path.extname(options.out) === '.json' ? 'json' : 'csv');
+    if (!['csv', 'json'].includes(format)) throw fail('--format must be csv or json', EXIT_INVALID);
+    const params = filterQuery(options);
+    params.set('format', format);
+    const body = await (await client.request(`/articles/export?${params}`)).text();
+    if (options.out) {
+      fs.writeFileSync(options.out, body);
+      console.log(`Wrote ${options.out}`);
+    } else {
+      process.stdout.write(body);
+    }
+  },
+
+  async import(client, [file], options) {
+    checkOptions(options, ['dry-run']);
+    if (!file) throw fail('Name the CSV or JSON file to import', EXIT_INVALID);
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+      throw fail(`Can't read ${file}: ${err.message}`, EXIT_INVALID);
+    }
+    const csv = path.extname(file).toLowerCase() === '.json' ? jsonToCsv(text) : text;
+    let report;
+    try {
+      report = await client.json(`/articles/import${options['dry-run'] ? '?dry_run=1' : ''}`, {
+        method: 'POST',
+        body: csv,
+        headers: { 'Content-Type': 'text/csv' }
+      });
+    } catch (err) {
+      // A rejected import answers with the report itself
+      if (!err.details?.summary) throw err;
+      report = err.details;
+    }
+    printImportReport(report);
+    const invalid = report.errors || report.summary.error > 0;
+    if (invalid) throw fail(report.committed ? 'Import had errors' : 'Nothing imported - fix the rows above', EXIT_INVALID);
+    console.log(report.committed ? 'Imported' : 'Dry run - nothing imported');
+  },
+
+  async 'export-drafts'(client, positional, options) {
+    checkOptions(options, ['out']);
+    if (!options.out) throw fail('Name the directory to write to with --out', EXIT_INVALID);
+    const { files, missing } = await client.json('/drafts/export?format=json');
+    fs.mkdirSync(options.out, { recursive: true });
+    files.forEach(file => fs.writeFileSync(path.join(options.out, file.name), file.content));
+    console.log(`Wrote ${files.length} draft${files.length === 1 ? '' : 's'} to ${options.out}`);
+    if (missing.length) console.log(`No draft yet for ${missing.join(', ')}`);
+  },
+
+  async seed(client, positional, options) {
+    checkOptions(options, []);
+    const present = new Set((await client.json('/articles')).map(a => a.article_id));
+    const missing = loadSeedArticles().filter(a => !present.has(a.id));
+    if (!missing.length) {
+      console.log('All seed articles are already in the plan');
+      return;
+    }
+    await client.json('/articles/bulk', { method: 'POST', body: { articles: missing } });
+    console.log(`Added ${missing.length} seed article${missing.length === 1 ? '' : 's'} (${present.size} already there)`);
+  }
+};
+
+// Migrations go straight to the database, the same as `npm run migrate`
+function migrate(args) {
+  const result = spawnSync(process.execPath, [path.join(__dirname, 'migrate.js'), ...args], { stdio: 'inherit' });
+  return result.status ?? EXIT_FAILED;
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  if (command === 'migrate') {
+    return migrate(rest);
+  }
+  if (!commands[command]) {
+    throw fail(`${command ? `Unknown command "${command}"` : 'No command given'} (expected ${[...Object.keys(commands), 'migrate'].join(', ')})`, EXIT_INVALID);
+  }
+  const { positional, options } = parseArgs(rest);
+  const client = createClient({
+    url: options.url || process.env.PLANNER_URL || process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3000}`,
+    token: options.token || process.env.PLANNER_TOKEN || process.env.CONTENT_TOKEN,
+    plan: options.plan
+  });
+  await client.signIn();
+  try {
+    await commands[command](client, positional, options);
+  } finally {
+    await client.signOut();
+  }
+  return 0;
+}
+
+main().then(code => process.exit(code), err => {
+  console.error(err.message);
+  printDetails(err.details?.summary ? null : err.details);
+  process.exit(err.exitCode || EXIT_FAILED);
+});
@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+// Local endpoint for trying out webhooks: prints each delivery and checks its signature.
+// Usage: node bin/webhook-receiver.js [--port N] [--secret S] [--fail N]
+//   --secret  the webhook's secret; without it signatures aren't checked
+//   --fail    answer the first N deliveries with a 500, to watch the retries
+const http = require('http');
+const { verifySignature } = require('../lib/webhooks');
+
+function option(args, name) {
+  const i = args.indexOf(`--${name}`);
+  return i === -1 ? undefined : args[i + 1];
+}
+
+const args = process.argv.slice(2);
+const port = parseInt(option(args, 'port') || '4000', 10);
+const secret = option(args, 'secret');
+let failures = parseInt(option(args, 'fail') || '0', 10);
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const event = req.headers['x-speakflow-event'];
+    const delivery = req.headers['x-speakflow-delivery'];
+    let signature = 'not checked';
+    if (secret) {
+      signature = verifySignature(secret, req.headers['x-speakflow-timestamp'], body, req.headers['x-speakflow-signature'])
+        ? 'valid'
+        : 'INVALID';
+    }
+    console.log(`${new Date().toISOString()} ${req.method} ${req.url} event=${event} delivery=${delivery} signature=${signature}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (err) {
+      console.log(body);
+    }
+    if (signature === 'INVALID') {
+      res.writeHead(401).end('Bad signature');
+    } else if (failures > 0) {
+      failures -= 1;
+      res.writeHead(500).end('Failing on purpose');
+    } else {
+      res.writeHead(200).end('ok');
+    }
+  });
+}).listen(port, () => console.log(`Listening for webhooks on http://localhost:${port}/`));
@@ -0,0 +1,103 @@
+// Progress over time, from the status changes recorded in article history
+const { scheduledDate, toIsoDate } = require('./schedule');
+const { currentWeek } = require('./scheduler');
+const { STATUSES } = require('./validation');
+
+// Weeks of throughput the velocity average looks back over
+const VELOCITY_WEEKS = 4;
+
+// When each currently published article was (last) published. Articles published
+// without a recorded status change (e.g. before history existed) use updated_at.
+function publishedDates(articles, statusChanges) {
+  const latest = new Map();
+  statusChanges
+    .filter(change => change.new_value === 'published')
+    .forEach(change => latest.set(change.article_id, change.changed_at));
+  return new Map(articles
+    .filter(a => a.status === 'published')
+    .map(a => [a.id, new Date(latest.get(a.id) || a.updated_at || a.created_at)]));
+}
+
+function completion(articles, keyOf) {
+  const groups = new Map();
+  articles.forEach(a => {
+    const key = keyOf(a) || 'None';
+    if (!groups.has(key)) groups.set(key, { name: key, total: 0, ...Object.fromEntries(STATUSES.map(s => [s, 0])) });
+    const group = groups.get(key);
+    group.total += 1;
+    group[a.status || 'planned'] += 1;
+  });
+  return [...groups.values()]
+    .map(g => ({ ...g, completion: Math.round((g.published / g.total) * 100) / 100 }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+function buildAnalytics(articles, statusChanges, settings, { now = new Date() } = {}) {
+  const thisWeek = currentWeek(settings, now);
+  const total = articles.length;
+  const published = publishedDates(articles, statusChanges);
+
+  // Per plan week: what was scheduled and what actually got published
+  const weeks = [];
+  let plannedSoFar = 0;
+  let publishedSoFar = 0;
+  for (let week = 1; week <= settings.plan_weeks; week++) {
+    const planned = articles.filter(a => a.week === week).length;
+    const done = [...published.values()].filter(date => currentWeek(settings, date) === week).length;
+    plannedSoFar += planned;
+    publishedSoFar += done;
+    weeks.push({
+      week,
+      planned,
+      published: week <= thisWeek ? done : null,
+      // Burndown: what the plan says should be left vs. what is
+      remaining_planned: total - plannedSoFar,
+      remaining_actual: week <= thisWeek ? total - publishedSoFar : null
+    });
+  }
+  // Published before week 1 counts toward the first week
+  const early = [...published.values()].filter(date => currentWeek(settings, date) < 1).length;
+  if (early && weeks.length) {
+    weeks[0].published = (weeks[0].published || 0) + early;
+    weeks.forEach(w => { if (w.remaining_actual !== null) w.remaining_actual -= early; });
+  }
+
+  const recent = weeks.filter(w => w.week <= thisWeek && w.week > thisWeek - VELOCITY_WEEKS);
+  const velocity = recent.length ? recent.reduce((sum, w) => sum + w.published, 0) / recent.length : 0;
+  const remaining = total - published.size;
+  const today = toIsoDate(now);
+
+  // Scheduled day has passed and it still isn't out, most overdue first
+  const slipped = articles
+    .filter(a => a.status !== 'published')
+    .map(a => ({ article: a, date: scheduledDate(a, settings) }))
+    .filter(({ date }) => date && date < today)
+    .map(({ article, date }) => ({
+      id: article.id,
+      article_id: article.article_id,
+      title: article.title,
+      category: article.category,
+      priority: article.priority,
+      status: article.status,
+      week: article.week,
+      scheduled_date: date,
+      days_late: Math.round((Date.parse(today) - Date.parse(date)) / 86400000)
+    }))
+    .sort((a, b) => b.days_late - a.days_late || a.article_id.localeCompare(b.article_id));
+
+  return {
+    current_week: thisWeek,
+    total,
+    published: published.size,
+    remaining,
+    // Average articles published per week over the last few weeks
+    velocity: Math.round(velocity * 100) / 100,
+    projected_finish_week: remaining === 0 ? null : velocity > 0 ? thisWeek + Math.ceil(remaining / velocity) : null,
+    weeks,
+    by_category: completion(articles, a => a.category),
+    by_funnel: completion(articles, a => a.funnel),
+    slipped
+  };
+}
+
+module.exports = { buildAnalytics };
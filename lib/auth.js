@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+
+// Ordered from least to most privileged
+const ROLES = ['viewer', 'writer', 'editor', 'admin'];
+const SESSION_COOKIE = 'sf_session';
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60; // seconds
+
+function generateToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+// Only hashes are stored, so a leaked database doesn't leak working links
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Exchange a magic-link token for a new session; returns the session token or null
+async function login(store, token) {
+  if (!token) return null;
+  const user = await store.findUserByTokenHash(hashToken(token));
+  if (!user) return null;
+  const sessionToken = generateToken();
+  await store.createSession({
+    token_hash: hashToken(sessionToken),
+    user_id: user.id,
+    expires_at: new Date(Date.now() + SESSION_MAX_AGE * 1000)
+  });
+  return sessionToken;
+}
+
+async function userForSession(store, sessionToken) {
+  if (!sessionToken) return null;
+  return store.findSessionUser(hashToken(sessionToken));
+}
+
+// Create a user and hand back the only copy of their login token
+async function createUser(store, { name, email, role = 'viewer' }) {
+  const token = generateToken();
+  const user = await store.createUser({ name, email: email || null, role, token_hash: hashToken(token) });
+  return { user, token };
+}
+
+// Replace a user's login token, sign out all their sessions and drop their calendar feed
+async function revokeUserToken(store, id) {
+  const token = generateToken();
+  const user = await store.setUserToken(id, hashToken(token));
+  if (!user) return null;
+  await store.deleteUserSessions(id);
+  await store.setUserFeedToken(id, null);
+  return { user, token };
+}
+
+// Calendar apps can't send cookies, so feeds authenticate with their own read-only token
+async function issueFeedToken(store, user) {
+  const token = generateToken();
+  await store.setUserFeedToken(user.id, hashToken(token));
+  return token;
+}
+
+async function userForFeedToken(store, token) {
+  if (!token) return null;
+  return store.findUserByFeedTokenHash(hashToken(token));
+}
+
+// With no accounts yet, CONTENT_TOKEN becomes the first admin's login link
+async function ensureBootstrapAdmin(store, contentToken) {
+  if (await store.countUsers() > 0) return null;
+  if (!contentToken) {
+    console.warn('WARNING: No users and no CONTENT_TOKEN set - nobody can sign in');
+    return null;
+  }
+  const user = await store.createUser({ name: 'Admin', email: null, role: 'admin', token_hash: hashToken(contentToken) });
+  console.log('Created bootstrap admin from CONTENT_TOKEN');
+  return user;
+}
+
+module.exports = {
+  ROLES,
+  SESSION_COOKIE,
+  SESSION_MAX_AGE,
+  hashToken,
+  hasRole,
+  login,
+  userForSession,
+  createUser,
+  revokeUserToken,
+  issueFeedToken,
+  userForFeedToken,
+  ensureBootstrapAdmin
+};
@@ -0,0 +1,170 @@
+// Markdown content briefs, built from an article's row and the rest of the plan
+
+// What the piece has to do for a reader at each funnel stage. `weight` is the
+// share of the word budget a section gets.
+const FUNNEL_TEMPLATES = {
+  Top: {
+    label: 'Top (awareness)',
+    reader: 'Someone exploring the topic who may not know SpeakFlow yet.',
+    goal: 'Answer the question fully and earn trust; mention SpeakFlow only where it genuinely helps.',
+    intro: { title: 'Introduction', weight: 0.1, points: ['Open with the problem or question behind the keyword', 'Say what the reader will be able to do by the end'] },
+    closing: [
+      { title: 'Key takeaways', weight: 0.08, points: ['Three to five bullet points a skimmer can act on'] },
+      { title: 'Next steps', weight: 0.05, points: ['Soft call to action: a related guide or the free trial'] }
+    ]
+  },
+  Middle: {
+    label: 'Middle (consideration)',
+    reader: 'Someone comparing approaches or tools and close to choosing one.',
+    goal: 'Show how the problem is solved in practice, with SpeakFlow as a worked example.',
+    intro: { title: 'Introduction', weight: 0.08, points: ['State who this is for and what setup or outcome it covers'] },
+    closing: [
+      { title: 'Troubleshooting and FAQs', weight: 0.12, points: ['The questions people actually ask about this; answer each in a few sentences'] },
+      { title: 'Conclusion', weight: 0.05, points: ['Recap and a call to action to try SpeakFlow for this use case'] }
+    ]
+  },
+  Bottom: {
+    label: 'Bottom (decision)',
+    reader: 'Someone ready to buy or sign up who wants reassurance.',
+    goal: 'Remove the last objections and make the next step obvious.',
+    intro: { title: 'Introduction', weight: 0.07, points: ['Lead with the verdict or the key benefit'] },
+    closing: [
+      { title: 'Pricing and getting started', weight: 0.1, points: ['What it costs and the exact steps to start'] },
+      { title: 'Conclusion', weight: 0.05, points: ['Clear call to action, repeated near the top for skimmers'] }
+    ]
+  }
+};
+
+// The body of the piece for each category; categories added in settings fall back to DEFAULT_SECTIONS
+const CATEGORY_SECTIONS = {
+  'Hardware Integrations': [
+    { title: 'What you need', weight: 0.1, points: ['Hardware, cables, apps and versions', 'Rough cost'] },
+    { title: 'Step-by-step setup', weight: 0.35, points: ['Numbered steps with a screenshot or photo for each', 'Call out settings that are easy to get wrong'] },
+    { title: 'Tips for the best results', weight: 0.15, points: ['Placement, lighting and workflow tips from real use'] }
+  ],
+  'Hardware Comparisons': [
+    { title: 'How we compared', weight: 0.08, points: ['Criteria and how each was tested'] },
+    { title: 'Comparison table', weight: 0.1, points: ['Price, key specs and best-for, one row per option'] },
+    { title: 'Option-by-option review', weight: 0.35, points: ['Pros, cons and who each one suits'] },
+    { title: 'Which one should you choose?', weight: 0.1, points: ['Recommendation per budget or use case'] }
+  ],
+  'Software Comparisons': [
+    { title: 'How we compared', weight: 0.08, points: ['Criteria: features, platforms, pricing, ease of use'] },
+    { title: 'Comparison table', weight: 0.1, points: ['One row per app with price and platforms'] },
+    { title: 'App-by-app review', weight: 0.35, points: ['Pros, cons and who each one suits; be fair to competitors'] },
+    { title: 'Our pick', weight: 0.1, points: ['Recommendation per use case, with SpeakFlow where it fits'] }
+  ],
+  'Platform Guides': [
+    { title: 'Why use a teleprompter on this platform', weight: 0.1, points: ['Platform-specific constraints and formats'] },
+    { title: 'Setting it up', weight: 0.3, points: ['Numbered steps for the platform and SpeakFlow'] },
+    { title: 'Recording and publishing tips', weight: 0.2, points: ['Framing, length and export settings the platform rewards'] }
+  ],
+  'Industry Guides': [
+    { title: 'Why it matters in this industry', weight: 0.12, points: ['Typical videos and what goes wrong without a script'] },
+    { title: 'Use cases', weight: 0.25, points: ['Three or four concrete scenarios with examples'] },
+    { title: 'Getting started', weight: 0.2, points: ['Workflow from script to finished video'] }
+  ],
+  'Skills & Techniques': [
+    { title: 'Why it matters', weight: 0.1, points: ['The mistake or skill gap this fixes'] },
+    { title: 'Techniques', weight: 0.35, points: ['One subsection per technique, each with a short exercise'] },
+    { title: 'Common mistakes', weight: 0.15, points: ['What to avoid and how to tell you are doing it'] }
+  ],
+  'Script Writing': [
+    { title: 'Structure', weight: 0.15, points: ['The parts of the script and how long each should run'] },
+    { title: 'Writing it', weight: 0.3, points: ['Line-by-line guidance with examples'] },
+    { title: 'Template', weight: 0.15, points: ['A fill-in-the-blanks script readers can copy'] }
+  ],
+  'Production & Setup': [
+    { title: 'What you need', weight: 0.12, points: ['Gear list by budget'] },
+    { title: 'Setting up', weight: 0.3, points: ['Space, camera, light and sound in order'] },
+    { title: 'Before you hit record', weight: 0.15, points: ['Checklist'] }
+  ]
+};
+
+const DEFAULT_SECTIONS = [
+  { title: 'Background', weight: 0.15, points: ['Context the reader needs first'] },
+  { title: 'Main content', weight: 0.4, points: ['Cover the topic in the order the reader needs it'] },
+  { title: 'Examples', weight: 0.15, points: ['Concrete examples or a worked case'] }
+];
+
+// Budgets are rounded to this many words
+const ROUNDING = 50;
+
+function outline(article) {
+  const funnel = FUNNEL_TEMPLATES[article.funnel] || FUNNEL_TEMPLATES.Middle;
+  const sections = [funnel.intro, ...(CATEGORY_SECTIONS[article.category] || DEFAULT_SECTIONS), ...funnel.closing];
+  const total = sections.reduce((sum, s) => sum + s.weight, 0);
+  const words = article.word_count || 0;
+  return sections.map(s => ({
+    ...s,
+    words: words ? Math.max(ROUNDING, Math.round(words * s.weight / total / ROUNDING) * ROUNDING) : null
+  }));
+}
+
+// Keeps a value from breaking out of its table cell or line
+function inline(value) {
+  return String(value ?? '').replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim();
+}
+
+function buildBrief(article, { related = [], scheduledDate = null } = {}) {
+  const funnel = FUNNEL_TEMPLATES[article.funnel];
+  const keyword = article.keyword ? `"${inline(article.keyword)}"` : null;
+  const lines = [
+    `# Brief: ${inline(article.title)}`,
+    '',
+    '| | |',
+    '|---|---|',
+    `| Article | ${inline(article.article_id)} |`,
+    `| Target keyword | ${keyword || '—'} |`,
+    `| Search intent | ${inline(article.intent) || '—'} |`,
+    `| Funnel stage | ${funnel ? funnel.label : '—'} |`,
+    `| Category | ${inline(article.category) || '—'} |`,
+    `| Priority | ${inline(article.priority) || '—'} |`,
+    `| Target length | ${article.word_count ? `${article.word_count.toLocaleString('en-US')} words` : '—'} |`,
+    `| Scheduled | ${article.week ? `Week ${article.week}${scheduledDate ? ` (${scheduledDate})` : ''}` : 'Not scheduled'} |`,
+    ''
+  ];
+
+  if (article.description) {
+    lines.push('## Summary', '', article.description.trim(), '');
+  }
+
+  const template = funnel || FUNNEL_TEMPLATES.Middle;
+  lines.push('## Reader and goal', '', `- **Reader:** ${template.reader}`, `- **Goal:** ${template.goal}`, '');
+
+  if (keyword) {
+    lines.push(
+      '## Keyword',
+      '',
+      `- Use ${keyword} in the title, the first 100 words, at least one H2 and the meta description.`,
+      '- Work in natural variations rather than repeating the exact phrase.',
+      '- Meta description: under 155 characters, with a reason to click.',
+      ''
+    );
+  }
+
+  lines.push('## Outline', '');
+  outline(article).forEach((section, i) => {
+    lines.push(`### ${i + 1}. ${section.title}${section.words ? ` (~${section.words} words)` : ''}`, '');
+    section.points.forEach(point => lines.push(`- ${point}`));
+    lines.push('');
+  });
+
+  lines.push('## Related articles to link', '');
+  if (related.length) {
+    related.forEach(r => {
+      const when = [r.week ? `week ${r.week}` : null, (r.status || 'planned').replace('_', ' ')].filter(Boolean).join(', ');
+      lines.push(`- **${inline(r.article_id)}**: ${inline(r.title)} (${when})${r.keyword ? `, anchor text "${inline(r.keyword)}"` : ''}`);
+    });
+  } else {
+    lines.push('- No closely related articles in the plan yet.');
+  }
+  lines.push('');
+
+  if (article.notes) {
+    lines.push('## Notes', '', article.notes.trim(), '');
+  }
+  return lines.join('\n');
+}
+
+module.exports = { FUNNEL_TEMPLATES, CATEGORY_SECTIONS, buildBrief };
@@ -0,0 +1,116 @@
+// Markdown drafts: word counts and keyword checks for the editor (public/app.js counts
+// the same way while you type), and the front-matter files the static site export writes
+const MAX_DRAFT_LENGTH = 1000000;
+
+// Statuses whose drafts go out in the static site export
+const EXPORT_STATUSES = ['written', 'published'];
+
+function validateDraft(body) {
+  if (typeof body !== 'string') return { body: 'must be a string' };
+  if (body.length > MAX_DRAFT_LENGTH) return { body: `must be at most ${MAX_DRAFT_LENGTH} characters` };
+  return null;
+}
+
+// Drops fenced code, link and image targets and HTML tags, keeping the words a reader sees
+function plainText(markdown) {
+  return String(markdown || '')
+    .replace(/^(```|~~~)[^\n]*\n[\s\S]*?^\1[^\n]*$/gm, ' ')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, ' ');
+}
+
+function countWords(markdown) {
+  return (plainText(markdown).match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || []).length;
+}
+
+// ATX headings (# to ######) outside code fences
+function headings(markdown) {
+  let fence = null;
+  return String(markdown || '').split(/\r?\n/).reduce((found, line) => {
+    const marker = line.match(/^(```|~~~)/);
+    if (marker) fence = fence ? (fence === marker[1] ? null : fence) : marker[1];
+    const heading = !fence && !marker && line.match(/^#{1,6}\s+(.*?)\s*#*\s*$/);
+    if (heading) found.push(heading[1]);
+    return found;
+  }, []);
+}
+
+function normalize(text) {
+  return ` ${String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()} `;
+}
+
+// Whole-word, case-insensitive phrase match ("stream deck" is in "Stream Deck + SpeakFlow")
+function hasKeyword(text, keyword) {
+  const phrase = normalize(keyword);
+  return phrase.trim() !== '' && normalize(text).includes(phrase);
+}
+
+// Progress against the article's targets: word count and keyword placement
+function draftStats(markdown, article) {
+  const found = headings(markdown);
+  const keyword = article.keyword || null;
+  return {
+    words: countWords(markdown),
+    target: article.word_count ?? null,
+    headings: found.length,
+    keyword,
+    keyword_in_title: keyword ? hasKeyword(article.title, keyword) : null,
+    keyword_headings: keyword ? found.filter(h => hasKeyword(h, keyword)).length : null
+  };
+}
+
+function slugify(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 80)
+    .replace(/-+$/, '');
+}
+
+// The live URL's last path segment when there is one, so file names match the site
+function draftSlug(article) {
+  let fromUrl = '';
+  try {
+    const segment = new URL(article.published_url).pathname.split('/').filter(Boolean).pop() || '';
+    fromUrl = slugify(decodeURIComponent(segment).replace(/\.html?$/, ''));
+  } catch (err) {
+    // No URL yet, or not one we can read
+  }
+  return fromUrl || slugify(article.title) || slugify(article.article_id);
+}
+
+// YAML front matter. Dates stay bare so site generators read them as dates; other
+// strings are JSON-quoted, which YAML reads as double-quoted scalars.
+function frontMatter(fields) {
+  const lines = Object.entries(fields)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => `${key}: ${typeof value !== 'string' || /^\d{4}-\d{2}-\d{2}$/.test(value) ? value : JSON.stringify(value)}`);
+  return ['---', ...lines, '---', ''].join('\n');
+}
+
+// One Markdown file per draft. `articles` carry scheduled_date (see present() in
+// server.js); the date is when it went live, or when it is scheduled to.
+function draftFiles(articles, drafts) {
+  const byArticle = new Map(drafts.map(d => [d.article_id, d]));
+  const taken = new Set();
+  return articles
+    .filter(a => EXPORT_STATUSES.includes(a.status) && byArticle.get(a.id)?.body.trim())
+    .map(a => {
+      let name = draftSlug(a);
+      if (taken.has(name)) name = `${name}-${slugify(a.article_id)}`;
+      taken.add(name);
+      const header = frontMatter({
+        title: a.title,
+        keyword: a.keyword,
+        category: a.category,
+        date: a.published_date || a.scheduled_date
+      });
+      const body = byArticle.get(a.id).body.replace(/^\s+/, '');
+      return { article_id: a.article_id, name: `${name}.md`, content: `${header}\n${body.endsWith('\n') ? body : `${body}\n`}` };
+    });
+}
+
+module.exports = { EXPORT_STATUSES, validateDraft, countWords, headings, hasKeyword, draftStats, frontMatter, draftFiles };
@@ -0,0 +1,47 @@
+// Server-Sent Events fan-out to every open tab. In-process only: with several
+// instances, each one only reaches the tabs connected to it. Tabs subscribe to a
+// channel (a plan id); events published without one reach every tab.
+
+const HEARTBEAT_MS = 25000;
+
+function createEventHub({ heartbeatMs = HEARTBEAT_MS } = {}) {
+  // response -> channel
+  const clients = new Map();
+  let lastId = 0;
+
+  // Comment lines keep proxies from closing idle streams
+  const heartbeat = setInterval(() => {
+    for (const res of clients.keys()) res.write(': ping\n\n');
+  }, heartbeatMs);
+  heartbeat.unref();
+
+  function subscribe(req, res, channel = null) {
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+    clients.set(res, channel);
+    req.on('close', () => clients.delete(res));
+  }
+
+  function publish(type, data, channel = null) {
+    const message = `id: ${++lastId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    clients.forEach((subscribed, res) => {
+      if (channel === null || subscribed === channel) res.write(message);
+    });
+  }
+
+  return {
+    subscribe,
+    publish,
+    get clientCount() {
+      return clients.size;
+    }
+  };
+}
+
+module.exports = { createEventHub };
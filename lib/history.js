@@ -0,0 +1,42 @@
+// Fields whose changes are written to sf_article_history
+const TRACKED_FIELDS = [
+  'article_id', 'title', 'keyword', 'intent', 'funnel', 'description',
+  'priority', 'word_count', 'category', 'week', 'publish_day', 'status', 'notes',
+  'published_url', 'published_date', 'assignee_id'
+];
+
+function asText(value) {
+  return value === null || value === undefined ? null : String(value);
+}
+
+// One entry per tracked field that differs between two versions of a row
+function diffArticle(before, after) {
+  return TRACKED_FIELDS
+    .filter(field => asText(before?.[field]) !== asText(after?.[field]))
+    .map(field => ({ field, old_value: asText(before?.[field]), new_value: asText(after?.[field]) }));
+}
+
+// History rows for one write: action is create, update, import or delete.
+// Creates and deletes are a single row; updates get one row per changed field.
+function historyEntries(user, before, after, action) {
+  const article = after || before;
+  const changes = action === 'create' || action === 'delete'
+    ? [{ field: null, old_value: null, new_value: null }]
+    : diffArticle(before, after);
+  return changes.map(change => ({
+    article_id: article.id,
+    action,
+    ...change,
+    user_id: user?.id ?? null,
+    user_name: user?.name ?? null
+  }));
+}
+
+async function recordChange(store, user, before, after, action) {
+  const entries = historyEntries(user, before, after, action);
+  if (entries.length > 0) {
+    await store.addHistory(entries);
+  }
+}
+
+module.exports = { TRACKED_FIELDS, diffArticle, historyEntries, recordChange };
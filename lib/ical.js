@@ -0,0 +1,72 @@
+const { DAY_MS, toIsoDate } = require('./schedule');
+
+// RFC 5545 TEXT escaping
+function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function fold(line) {
+  const parts = [];
+  let rest = Buffer.from(line);
+  while (rest.length > 75) {
+    let cut = parts.length ? 74 : 75;
+    // Don't split a multi-byte character
+    while ((rest[cut] & 0xc0) === 0x80) cut--;
+    parts.push(rest.subarray(0, cut).toString());
+    rest = rest.subarray(cut);
+  }
+  parts.push(rest.toString());
+  return parts.join('\r\n ');
+}
+
+function icsDate(isoDate) {
+  return isoDate.replace(/-/g, '');
+}
+
+function icsTimestamp(date) {
+  return new Date(date || Date.now()).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// All-day VEVENTs for articles that have a scheduled_date
+function buildCalendar(articles, { name = 'SpeakFlow Content Plan', host = 'speakflow-content-planner' } = {}) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//SpeakFlow//Content Planner//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+  articles.filter(a => a.scheduled_date).forEach(article => {
+    const day = article.scheduled_date;
+    const next = toIsoDate(new Date(Date.parse(day) + DAY_MS));
+    const description = [
+      article.keyword && `Keyword: ${article.keyword}`,
+      article.category && `Category: ${article.category}`,
+      article.priority && `Priority: ${article.priority}`,
+      `Status: ${article.status || 'planned'}`,
+      article.word_count && `Target: ${article.word_count} words`
+    ].filter(Boolean).join('\n');
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:article-${article.id}@${host}`,
+      `DTSTAMP:${icsTimestamp(article.updated_at)}`,
+      `DTSTART;VALUE=DATE:${icsDate(day)}`,
+      `DTEND;VALUE=DATE:${icsDate(next)}`,
+      `SUMMARY:${escapeText(`${article.article_id}: ${article.title}`)}`,
+      `DESCRIPTION:${escapeText(description)}`,
+      ...(article.category ? [`CATEGORIES:${escapeText(article.category)}`] : []),
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  });
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildCalendar };
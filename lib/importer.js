@@ -0,0 +1,84 @@
+const { diffArticle } = require('./history');
+
+// Columns read from and written to CSV files, in export order
+const CSV_COLUMNS = [
+  'article_id', 'title', 'keyword', 'intent', 'funnel', 'description', 'priority',
+  'word_count', 'category', 'week', 'publish_day', 'status', 'notes'
+];
+const INTEGER_COLUMNS = ['word_count', 'week', 'publish_day'];
+
+// Turns one CSV record into article fields. Blank cells are skipped, so they
+// leave the current value alone, like the COALESCE in the upsert.
+function readRecord(record, columns) {
+  const fields = {};
+  const errors = [];
+  CSV_COLUMNS.filter(col => columns.includes(col)).forEach(col => {
+    const raw = String(record[col] ?? '').trim();
+    if (raw === '') return;
+    if (!INTEGER_COLUMNS.includes(col)) {
+      fields[col] = raw;
+    } else if (/^-?\d+$/.test(raw.replace(/,/g, ''))) {
+      fields[col] = parseInt(raw.replace(/,/g, ''), 10);
+    } else {
+      errors.push(`${col} must be a whole number (got "${raw}")`);
+    }
+  });
+  return { fields, errors };
+}
+
+// Dry-run an import against the current articles. Returns the report (what each
+// row would do) and the merged records to write if it goes ahead.
+// `validate(merged, existing)` may return extra error messages per row, and
+// `warn(merged)` non-blocking warnings for rows that would be written.
+function planImport(existingArticles, { columns, records }, { validate = () => [], warn = () => [] } = {}) {
+  const byArticleId = new Map(existingArticles.map(a => [a.article_id, a]));
+  const seen = new Set();
+  const report = { summary: { create: 0, update: 0, unchanged: 0, error: 0 }, rows: [] };
+  const writes = [];
+
+  if (!columns.includes('article_id')) {
+    report.errors = ['CSV must have an article_id column'];
+    return { report, writes };
+  }
+  if (!records.length) {
+    report.errors = ['CSV has no data rows'];
+    return { report, writes };
+  }
+
+  records.forEach((record, i) => {
+    // Row 1 is the header
+    const row = { row: i + 2, article_id: String(record.article_id ?? '').trim() || null };
+    const { fields, errors } = readRecord(record, columns);
+    const existing = byArticleId.get(row.article_id);
+    const merged = { ...existing, ...fields };
+
+    if (!row.article_id) errors.push('article_id is required');
+    if (row.article_id && seen.has(row.article_id)) errors.push(`article_id ${row.article_id} appears more than once in the file`);
+    if (!merged.title) errors.push('title is required');
+    seen.add(row.article_id);
+    // The callback may repeat checks made here (a missing title), so each message shows once
+    validate(merged, existing).forEach(message => {
+      if (!errors.includes(message)) errors.push(message);
+    });
+
+    if (errors.length) {
+      Object.assign(row, { action: 'error', errors });
+    } else if (!existing) {
+      row.action = 'create';
+      writes.push({ ...merged, status: merged.status || 'planned' });
+    } else {
+      const changes = diffArticle(existing, merged);
+      Object.assign(row, changes.length ? { action: 'update', changes } : { action: 'unchanged' });
+      if (changes.length) writes.push(merged);
+    }
+    if (row.action === 'create' || row.action === 'update') {
+      const warnings = warn(merged);
+      if (warnings.length) row.warnings = warnings;
+    }
+    report.summary[row.action]++;
+    report.rows.push(row);
+  });
+  return { report, writes };
+}
+
+module.exports = { CSV_COLUMNS, planImport };
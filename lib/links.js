@@ -0,0 +1,78 @@
+// Internal link graph: which articles link where, what's missing, and what to add
+const { RELATED_CATEGORY_BONUS, findRelated } = require('./overlap');
+
+// Extra score when the target is in a category the source should link to (link_categories)
+const HUB_BONUS = 0.15;
+
+function summary(article) {
+  const { id, article_id, title, keyword, category, week, status } = article;
+  return { id, article_id, title, keyword, category, week, status };
+}
+
+// Articles `article` should link to (outbound) or be linked from (inbound), best first,
+// leaving out links that already exist
+function suggestLinks(article, articles, links, settings, { direction = 'outbound', limit = 5 } = {}) {
+  const hubs = settings.link_categories || {};
+  const points = (from, to) => (hubs[from.category] || []).includes(to.category);
+  const boost = (candidate, other) => {
+    const hub = direction === 'outbound' ? points(candidate, other) : points(other, candidate);
+    return (hub ? HUB_BONUS : 0) + (other.category === candidate.category ? RELATED_CATEGORY_BONUS : 0);
+  };
+  const linked = new Set(links
+    .filter(l => (direction === 'outbound' ? l.from_id : l.to_id) === article.id)
+    .map(l => (direction === 'outbound' ? l.to_id : l.from_id)));
+  return findRelated(article, articles, { limit: Infinity, boost })
+    .filter(related => !linked.has(related.id))
+    .slice(0, limit)
+    .map(related => ({
+      ...related,
+      hub: direction === 'outbound' ? points(article, related) : points(related, article)
+    }));
+}
+
+// One article's links in both directions, with the article at the other end
+function articleLinks(article, articles, links) {
+  const byId = new Map(articles.map(a => [a.id, a]));
+  const withArticle = (link, otherId) => ({
+    id: link.id,
+    anchor_text: link.anchor_text,
+    created_at: link.created_at,
+    article: byId.has(otherId) ? summary(byId.get(otherId)) : null
+  });
+  return {
+    outbound: links.filter(l => l.from_id === article.id).map(l => withArticle(l, l.to_id)),
+    inbound: links.filter(l => l.to_id === article.id).map(l => withArticle(l, l.from_id))
+  };
+}
+
+// The whole plan as nodes and edges. Orphans have no links either way. A published
+// article only counts inbound links from other published ones, since unpublished
+// pages can't send it traffic yet.
+function linkGraph(articles, links, settings, { suggestions = 3 } = {}) {
+  const byId = new Map(articles.map(a => [a.id, a]));
+  const edges = links.filter(l => byId.has(l.from_id) && byId.has(l.to_id));
+  const nodes = articles.map(a => {
+    const inbound = edges.filter(l => l.to_id === a.id);
+    return {
+      ...summary(a),
+      inbound: inbound.length,
+      outbound: edges.filter(l => l.from_id === a.id).length,
+      published_inbound: inbound.filter(l => byId.get(l.from_id).status === 'published').length
+    };
+  });
+  const orphans = nodes.filter(n => n.inbound === 0 && n.outbound === 0);
+  const needsInbound = nodes
+    .filter(n => n.status === 'published' && n.published_inbound === 0)
+    .map(n => ({
+      ...n,
+      suggestions: suggestLinks(byId.get(n.id), articles, edges, settings, { direction: 'inbound', limit: suggestions })
+    }));
+  return {
+    nodes,
+    edges: edges.map(({ id, from_id, to_id, anchor_text }) => ({ id, from_id, to_id, anchor_text })),
+    orphans,
+    needs_inbound: needsInbound
+  };
+}
+
+module.exports = { suggestLinks, articleLinks, linkGraph };
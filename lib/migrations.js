@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+// Arbitrary key so two instances booting at once don't race each other
+const LOCK_KEY = 72114;
+
+// Migration files are NNN_name.js exporting { up, down } as SQL strings or async (client) => {}
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .map(file => {
+      const { up, down } = require(path.join(dir, file));
+      return { version: parseInt(file, 10), name: file.replace(/\.js$/, ''), up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+async function run(client, step) {
+  if (typeof step === 'function') {
+    await step(client);
+  } else if (step) {
+    await client.query(step);
+  }
+}
+
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sf_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+async function appliedVersions(client) {
+  const result = await client.query('SELECT version FROM sf_migrations');
+  return new Set(result.rows.map(r => r.version));
+}
+
+// Apply pending migrations in order, each in its own transaction
+async function migrateUp(pool, { to = Infinity } = {}) {
+  return withLock(pool, async client => {
+    const applied = await appliedVersions(client);
+    const done = [];
+    for (const migration of loadMigrations()) {
+      if (applied.has(migration.version) || migration.version > to) continue;
+      try {
+        await client.query('BEGIN');
+        await run(client, migration.up);
+        await client.query('INSERT INTO sf_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        err.message = `Migration ${migration.name} failed: ${err.message}`;
+        throw err;
+      }
+      done.push(migration.name);
+    }
+    return done;
+  });
+}
+
+// Roll back the most recently applied migrations
+async function migrateDown(pool, { steps = 1 } = {}) {
+  return withLock(pool, async client => {
+    const applied = await appliedVersions(client);
+    const targets = loadMigrations().filter(m => applied.has(m.version)).reverse().slice(0, steps);
+    const done = [];
+    for (const migration of targets) {
+      if (!migration.down) {
+        throw new Error(`Migration ${migration.name} has no down step`);
+      }
+      try {
+        await client.query('BEGIN');
+        await run(client, migration.down);
+        await client.query('DELETE FROM sf_migrations WHERE version = $1', [migration.version]);
+        await client.query('COMMIT');
+      } catch (err) {
+        await client.query('ROLLBACK');
+        err.message = `Rollback of ${migration.name} failed: ${err.message}`;
+        throw err;
+      }
+      done.push(migration.name);
+    }
+    return done;
+  });
+}
+
+async function migrationStatus(pool) {
+  return withLock(pool, async client => {
+    const result = await client.query('SELECT version, applied_at FROM sf_migrations');
+    const applied = new Map(result.rows.map(r => [r.version, r.applied_at]));
+    return loadMigrations().map(m => ({
+      version: m.version,
+      name: m.name,
+      applied_at: applied.get(m.version) || null
+    }));
+  });
+}
+
+module.exports = { loadMigrations, migrateUp, migrateDown, migrationStatus };
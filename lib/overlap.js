@@ -0,0 +1,131 @@
+// Keyword cannibalization and near-duplicate title detection
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'for', 'to', 'of', 'in', 'on', 'at', 'by', 'with', 'from',
+  'your', 'you', 'is', 'are', 'how', 'what', 'which', 'vs', 'versus'
+]);
+
+const KEYWORD_THRESHOLD = 0.5;
+const TITLE_THRESHOLD = 0.6;
+const RELATED_THRESHOLD = 0.2;
+const RELATED_CATEGORY_BONUS = 0.1;
+
+// Crude plural folding, enough that "teleprompters" meets "teleprompter"
+function stem(word) {
+  if (word.length > 4 && word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+function tokens(text) {
+  return new Set(
+    (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+      .filter(w => !STOPWORDS.has(w))
+      .map(stem)
+  );
+}
+
+// Word set as a sorted string, so word order and plurals don't matter
+function normalize(text) {
+  return [...tokens(text)].sort().join(' ');
+}
+
+// Inverse document frequency over the plan's keywords and titles, so words every
+// article uses ("teleprompter") count for little and distinctive ones ("elgato") for a lot
+function buildIdf(articles) {
+  const df = new Map();
+  articles.forEach(a => {
+    new Set([...tokens(a.keyword), ...tokens(a.title)]).forEach(t => df.set(t, (df.get(t) || 0) + 1));
+  });
+  const n = articles.length;
+  return token => Math.log((n + 1) / ((df.get(token) || 0) + 1)) + 0.1;
+}
+
+const sum = (set, idf) => [...set].reduce((total, t) => total + idf(t), 0);
+
+// IDF-weighted Jaccard overlap of two token sets, 0..1. A phrase of 2+ words
+// wholly contained in the other ("teleprompter mistakes") also counts as a strong match.
+function similarity(a, b, idf) {
+  if (!a.size || !b.size) return 0;
+  const shared = new Set([...a].filter(t => b.has(t)));
+  const jaccard = sum(shared, idf) / sum(new Set([...a, ...b]), idf);
+  const smaller = a.size <= b.size ? a : b;
+  const contained = smaller.size >= 2 && shared.size === smaller.size ? 0.75 : 0;
+  return Math.max(jaccard, contained);
+}
+
+function summary(article) {
+  const { id, article_id, title, keyword, category, week, status } = article;
+  return { id, article_id, title, keyword, category, week, status };
+}
+
+// How `a` and `b` collide, if at all: exact or fuzzy keyword match, or a similar title
+function compare(a, b, idf) {
+  const issues = [];
+  if (a.keyword && b.keyword) {
+    if (normalize(a.keyword) === normalize(b.keyword)) {
+      issues.push({ type: 'keyword_exact', score: 1 });
+    } else {
+      const score = similarity(tokens(a.keyword), tokens(b.keyword), idf);
+      if (score >= KEYWORD_THRESHOLD) issues.push({ type: 'keyword_fuzzy', score: Math.round(score * 100) / 100 });
+    }
+  }
+  const titleScore = similarity(tokens(a.title), tokens(b.title), idf);
+  if (titleScore >= TITLE_THRESHOLD) {
+    issues.push({ type: 'title_similar', score: Math.round(titleScore * 100) / 100 });
+  }
+  return issues;
+}
+
+// Every colliding pair in the plan, most severe first
+function findOverlaps(articles) {
+  const idf = buildIdf(articles);
+  const pairs = [];
+  for (let i = 0; i < articles.length; i++) {
+    for (let j = i + 1; j < articles.length; j++) {
+      const issues = compare(articles[i], articles[j], idf);
+      if (issues.length) {
+        pairs.push({ articles: [summary(articles[i]), summary(articles[j])], issues });
+      }
+    }
+  }
+  const severity = pair => Math.max(...pair.issues.map(i => (i.type === 'keyword_exact' ? 2 : 1) + i.score));
+  return pairs.sort((x, y) => severity(y) - severity(x));
+}
+
+// Warnings for one new or changed article against the rest of the plan
+function findCollisions(candidate, articles) {
+  const others = articles.filter(other => other.article_id !== candidate.article_id);
+  const idf = buildIdf([...others, candidate]);
+  return others
+    .flatMap(other => compare(candidate, other, idf).map(issue => ({
+      ...issue,
+      article_id: other.article_id,
+      title: other.title,
+      keyword: other.keyword,
+      message: issue.type === 'title_similar'
+        ? `title is similar to ${other.article_id} "${other.title}"`
+        : `keyword ${issue.type === 'keyword_exact' ? 'duplicates' : 'overlaps'} ${other.article_id} "${other.keyword}"`
+    })));
+}
+
+const sameCategory = (candidate, other) => (other.category === candidate.category ? RELATED_CATEGORY_BONUS : 0);
+
+// Other articles on the same subject, best match first: keyword and title overlap,
+// plus whatever `boost` adds (by default a nudge for sharing a category)
+function findRelated(candidate, articles, { limit = 5, boost = sameCategory } = {}) {
+  const others = articles.filter(other => other.article_id !== candidate.article_id);
+  const idf = buildIdf([...others, candidate]);
+  const words = a => new Set([...tokens(a.keyword), ...tokens(a.title)]);
+  const own = words(candidate);
+  return others
+    .map(other => {
+      const score = similarity(own, words(other), idf) + boost(candidate, other);
+      return { ...summary(other), score: Math.round(score * 100) / 100 };
+    })
+    .filter(related => related.score >= RELATED_THRESHOLD)
+    .sort((x, y) => y.score - x.score)
+    .slice(0, limit);
+}
+
+module.exports = { RELATED_CATEGORY_BONUS, normalize, findOverlaps, findCollisions, findRelated };
@@ -0,0 +1,177 @@
+// Search Console-style performance data: reading exports, matching rows to
+// articles, and summarizing how each article ranks
+const { normalize } = require('./overlap');
+
+// Header names we accept per column, lowercased (Search Console, and common variants)
+const COLUMN_ALIASES = {
+  query: ['query', 'queries', 'top queries', 'search query'],
+  page: ['page', 'pages', 'top pages', 'url', 'landing page'],
+  clicks: ['clicks'],
+  impressions: ['impressions'],
+  position: ['position', 'average position', 'avg. position', 'avg position']
+};
+
+// A High-priority published article underperforms when its target keyword ranks
+// worse than this, or it gets fewer clicks than MIN_CLICKS...
+const POSITION_TARGET = 10;
+const MIN_CLICKS = 10;
+// ...unless it was published so recently that it hasn't had a chance yet
+const GRACE_DAYS = 28;
+
+function toNumber(raw, { integer }) {
+  const text = String(raw ?? '').replace(/[,%\s]/g, '');
+  if (text === '') return { value: integer ? 0 : null };
+  const value = Number(text);
+  if (!Number.isFinite(value) || (integer && !Number.isInteger(value))) return { error: true };
+  return { value };
+}
+
+// Parsed CSV ({ columns, records }) to rows. Returns { rows, rowErrors }, or
+// { errors } when the columns don't make sense for the whole file.
+function readPerformanceCsv({ columns, records }) {
+  const columnFor = {};
+  Object.entries(COLUMN_ALIASES).forEach(([key, aliases]) => {
+    columnFor[key] = columns.find(col => aliases.includes(col.trim().toLowerCase()));
+  });
+  const missing = [];
+  if (!columnFor.query && !columnFor.page) missing.push('CSV needs a query or page column');
+  if (!columnFor.clicks && !columnFor.impressions) missing.push('CSV needs clicks or impressions');
+  if (missing.length) return { errors: missing };
+
+  const rows = [];
+  const rowErrors = [];
+  records.forEach((record, i) => {
+    const errors = [];
+    const read = (key, options) => {
+      if (!columnFor[key]) return options.integer ? 0 : null;
+      const { value, error } = toNumber(record[columnFor[key]], options);
+      if (error) errors.push(`${key} must be a number (got "${record[columnFor[key]]}")`);
+      return value;
+    };
+    const row = {
+      query: columnFor.query ? String(record[columnFor.query] ?? '').trim() || null : null,
+      page: columnFor.page ? String(record[columnFor.page] ?? '').trim() || null : null,
+      clicks: read('clicks', { integer: true }),
+      impressions: read('impressions', { integer: true }),
+      position: read('position', { integer: false })
+    };
+    if (!row.query && !row.page) errors.push('query or page is required');
+    // Row 1 is the header
+    if (errors.length) rowErrors.push({ row: i + 2, errors });
+    else rows.push(row);
+  });
+  return { rows, rowErrors };
+}
+
+// Host and path only, so http/https, www. and trailing slashes don't matter
+function normalizeUrl(url) {
+  const text = String(url || '').trim();
+  try {
+    const parsed = new URL(/^[a-z]+:\/\//i.test(text) ? text : `https://${text}`);
+    return `${parsed.hostname.toLowerCase().replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}`;
+  } catch (err) {
+    return text.toLowerCase();
+  }
+}
+
+// Tags each row with the article it belongs to: by page URL first, then by the
+// query matching an article's target keyword
+function matchPerformance(rows, articles) {
+  const byUrl = new Map();
+  const byKeyword = new Map();
+  articles.forEach(a => {
+    if (a.published_url) byUrl.set(normalizeUrl(a.published_url), a);
+    if (a.keyword && !byKeyword.has(normalize(a.keyword))) byKeyword.set(normalize(a.keyword), a);
+  });
+  return rows.map(row => {
+    const byPage = row.page && byUrl.get(normalizeUrl(row.page));
+    if (byPage) return { ...row, article_id: byPage.id, matched_by: 'url' };
+    const byQuery = row.query && byKeyword.get(normalize(row.query));
+    if (byQuery) return { ...row, article_id: byQuery.id, matched_by: 'keyword' };
+    return { ...row, article_id: null, matched_by: null };
+  });
+}
+
+// Impression-weighted average position
+function averagePosition(rows) {
+  const ranked = rows.filter(r => r.position != null);
+  const weight = ranked.reduce((sum, r) => sum + (r.impressions || 1), 0);
+  if (!weight) return null;
+  return Math.round(ranked.reduce((sum, r) => sum + r.position * (r.impressions || 1), 0) / weight * 10) / 10;
+}
+
+function totals(rows) {
+  const clicks = rows.reduce((sum, r) => sum + r.clicks, 0);
+  const impressions = rows.reduce((sum, r) => sum + r.impressions, 0);
+  return {
+    clicks,
+    impressions,
+    ctr: impressions ? Math.round((clicks / impressions) * 1000) / 1000 : null,
+    position: averagePosition(rows)
+  };
+}
+
+function summarizePerformance(articles, rows, { now = new Date() } = {}) {
+  const byArticle = new Map();
+  rows.filter(r => r.article_id != null).forEach(r => {
+    if (!byArticle.has(r.article_id)) byArticle.set(r.article_id, []);
+    byArticle.get(r.article_id).push(r);
+  });
+
+  const summaries = articles
+    .filter(a => a.status === 'published' || byArticle.has(a.id))
+    .map(a => {
+      const own = byArticle.get(a.id) || [];
+      const target = a.keyword ? own.filter(r => r.query && normalize(r.query) === normalize(a.keyword)) : [];
+      return {
+        id: a.id,
+        article_id: a.article_id,
+        title: a.title,
+        keyword: a.keyword,
+        priority: a.priority,
+        status: a.status,
+        published_url: a.published_url || null,
+        published_date: a.published_date || null,
+        ...totals(own),
+        keyword_position: averagePosition(target),
+        top_queries: own
+          .filter(r => r.query)
+          .sort((x, y) => y.clicks - x.clicks || y.impressions - x.impressions)
+          .slice(0, 5)
+          .map(({ query, clicks, impressions, position }) => ({ query, clicks, impressions, position }))
+      };
+    });
+
+  const graceStart = new Date(now.getTime() - GRACE_DAYS * 86400000).toISOString().slice(0, 10);
+  const underperforming = summaries
+    .filter(s => s.priority === 'High' && s.status === 'published')
+    .filter(s => !s.published_date || s.published_date <= graceStart)
+    .map(s => {
+      const reasons = [];
+      if (!s.impressions) reasons.push('no impressions');
+      if (s.keyword_position == null) reasons.push('not ranking for its target keyword');
+      else if (s.keyword_position > POSITION_TARGET) reasons.push(`target keyword at position ${s.keyword_position}`);
+      if (s.clicks < MIN_CLICKS) reasons.push(`${s.clicks} clicks`);
+      return { ...s, reasons };
+    })
+    .filter(s => s.reasons.length);
+
+  const unmatched = rows.filter(r => r.article_id == null);
+  return {
+    imported_at: rows[0]?.imported_at || null,
+    articles: summaries.sort((x, y) => y.clicks - x.clicks || x.article_id.localeCompare(y.article_id)),
+    rankings: summaries
+      .filter(s => s.keyword_position != null)
+      .sort((x, y) => x.keyword_position - y.keyword_position),
+    underperforming,
+    unmatched: {
+      rows: unmatched.length,
+      top: unmatched
+        .sort((x, y) => y.impressions - x.impressions)
+        .slice(0, 20)
+        .map(({ query, page, clicks, impressions, position }) => ({ query, page, clicks, impressions, position }))
+    }
+  };
+}
+
+module.exports = { readPerformanceCsv, normalizeUrl, matchPerformance, summarizePerformance };
@@ -0,0 +1,55 @@
+// Plans (workspaces): each has its own articles, settings and calendar year
+const { DAY_MS, toIsoDate } = require('./schedule');
+const { defaultSettings } = require('./settings');
+
+// Not all digits, so a slug can't be mistaken for a plan id in URLs
+const SLUG_PATTERN = /^(?!\d+$)[a-z0-9][a-z0-9-]{0,49}$/;
+
+// First Monday of a year, where a new plan's week 1 starts by default
+function firstMonday(year) {
+  const jan1 = new Date(Date.UTC(year, 0, 1));
+  const offset = (8 - (jan1.getUTCDay() || 7)) % 7;
+  return toIsoDate(new Date(jan1.getTime() + offset * DAY_MS));
+}
+
+// The plan every install starts with; articles and settings from before plans move into it
+function defaultPlan(startDate = defaultSettings().plan_start_date) {
+  const year = Number(String(startDate).slice(0, 4));
+  return { slug: `speakflow-${year}`, name: `SpeakFlow ${year}`, year };
+}
+
+// Returns { field: message } or null
+function validatePlan(plan, { partial = false } = {}) {
+  const errors = {};
+  const { slug, name, year } = plan || {};
+  if (slug !== undefined || !partial) {
+    if (typeof slug !== 'string' || !SLUG_PATTERN.test(slug)) {
+      errors.slug = 'must be 1-50 lowercase letters, digits and dashes, and not only digits';
+    }
+  }
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) errors.name = 'must be 1-100 characters';
+  }
+  if (year !== undefined || !partial) {
+    if (!Number.isInteger(year) || year < 2000 || year > 2100) errors.year = 'must be a year from 2000 to 2100';
+  }
+  return Object.keys(errors).length ? errors : null;
+}
+
+// Slug, name and year for next year's copy of a plan: the year in the slug and
+// name moves on when there is one, otherwise it's appended
+function nextYearPlan(plan) {
+  const year = plan.year + 1;
+  const bump = (text, separator) => text.includes(String(plan.year))
+    ? text.split(String(plan.year)).join(String(year))
+    : `${text}${separator}${year}`;
+  return { slug: bump(plan.slug, '-'), name: bump(plan.name, ' '), year };
+}
+
+// Same weekday and distance from the year's first Monday, in another year
+function shiftStartDate(startDate, fromYear, toYear) {
+  const offset = Date.parse(startDate) - Date.parse(firstMonday(fromYear));
+  return toIsoDate(new Date(Date.parse(firstMonday(toYear)) + offset));
+}
+
+module.exports = { firstMonday, defaultPlan, validatePlan, nextYearPlan, shiftStartDate };
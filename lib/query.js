@@ -0,0 +1,88 @@
+const { PRIORITIES, FUNNELS, STATUSES } = require('./validation');
+
+const SORT_FIELDS = ['week', 'article_id', 'title', 'priority', 'status', 'category', 'word_count', 'created_at', 'updated_at', 'relevance'];
+const MAX_LIMIT = 500;
+
+function toInteger(value) {
+  return /^\d+$/.test(String(value)) ? parseInt(value, 10) : NaN;
+}
+
+// Terms for prefix search: "elga stream" matches "Elgato Stream Deck"
+function searchTerms(q) {
+  return (String(q || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).slice(0, 10);
+}
+
+// Normalizes /api/articles query parameters. Returns { query } or { errors }.
+// `search` is accepted as an alias of `q`, which is what the filter bar sends.
+function parseArticleQuery(params = {}, { userId } = {}) {
+  const errors = {};
+  const query = {};
+
+  [['category', null], ['priority', PRIORITIES], ['funnel', FUNNELS], ['status', STATUSES]].forEach(([key, allowed]) => {
+    if (!params[key]) return;
+    if (allowed && !allowed.includes(params[key])) {
+      errors[key] = `must be one of ${allowed.join(', ')}`;
+    } else {
+      query[key] = params[key];
+    }
+  });
+
+  ['week_from', 'week_to'].forEach(key => {
+    if (params[key] === undefined || params[key] === '') return;
+    const week = toInteger(params[key]);
+    if (isNaN(week)) errors[key] = 'must be a whole number';
+    else query[key] = week;
+  });
+
+  // A user id, or "me" for userId (left out when there is no signed-in user to resolve it to)
+  if (params.assignee) {
+    const assignee = params.assignee === 'me' ? userId : toInteger(params.assignee);
+    if (params.assignee !== 'me' && (isNaN(assignee) || assignee < 1)) errors.assignee = 'must be a user id or "me"';
+    else if (assignee) query.assignee = assignee;
+  }
+
+  const terms = searchTerms(params.q ?? params.search);
+  if (terms.length) query.terms = terms;
+
+  const sort = String(params.sort || (terms.length ? '-relevance' : 'week'));
+  const field = sort.replace(/^-/, '');
+  query.sortParam = sort;
+  if (!SORT_FIELDS.includes(field)) {
+    errors.sort = `must be one of ${SORT_FIELDS.join(', ')} (prefix with - for descending)`;
+  } else if (field === 'relevance' && !terms.length) {
+    errors.sort = 'relevance needs a search term';
+  } else {
+    query.sort = { field, desc: sort.startsWith('-') };
+  }
+
+  if (params.limit !== undefined && params.limit !== '') {
+    const limit = toInteger(params.limit);
+    if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) errors.limit = `must be between 1 and ${MAX_LIMIT}`;
+    else query.limit = limit;
+  }
+
+  if (params.cursor) {
+    const cursor = decodeCursor(params.cursor);
+    if (!cursor) errors.cursor = 'is not a valid cursor';
+    else if (cursor.sort !== sort) errors.cursor = `belongs to sort=${cursor.sort}, not sort=${sort}`;
+    else query.cursor = cursor.key;
+  }
+
+  return Object.keys(errors).length ? { errors } : { query };
+}
+
+// Cursors hold the sort and the last row's sort key (ending in its id), opaque to clients
+function encodeCursor(sort, key) {
+  return Buffer.from(JSON.stringify({ sort, key })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return decoded && typeof decoded.sort === 'string' && Array.isArray(decoded.key) ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = { SORT_FIELDS, searchTerms, parseArticleQuery, encodeCursor, decodeCursor };
@@ -0,0 +1,23 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toIsoDate(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+// First day (UTC midnight) of a plan week
+function weekStart(week, settings) {
+  return new Date(Date.parse(settings.plan_start_date) + (week - 1) * 7 * DAY_MS);
+}
+
+// Concrete publish date for an article, or null when it isn't scheduled
+function scheduledDate(article, settings) {
+  if (!Number.isInteger(article.week)) return null;
+  const start = weekStart(article.week, settings);
+  // plan_start_date may not be a Monday, so offset from its own weekday
+  const startDay = start.getUTCDay() || 7;
+  const day = article.publish_day || settings.default_publish_day;
+  const offset = (day - startDay + 7) % 7;
+  return toIsoDate(new Date(start.getTime() + offset * DAY_MS));
+}
+
+module.exports = { DAY_MS, toIsoDate, weekStart, scheduledDate };
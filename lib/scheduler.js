@@ -0,0 +1,81 @@
+const { weekStart, DAY_MS } = require('./schedule');
+
+// Statuses whose week the balancer never moves
+const FIXED_STATUSES = ['published', 'in_progress'];
+const PRIORITY_ORDER = { High: 0, Medium: 1, Low: 2 };
+// How many open weeks past the earliest one a placement may slip to dodge a clash
+const LOOKAHEAD = 3;
+
+// Plan week containing `date`, per plan_start_date
+function currentWeek(settings, date = new Date()) {
+  return Math.floor((date - weekStart(1, settings)) / (7 * DAY_MS)) + 1;
+}
+
+// Proposes a week for every movable article: High priority first, at most
+// posts_per_week per week, and avoiding the same category or funnel stage in
+// neighbouring weeks where a slightly later open week allows it.
+function proposeSchedule(articles, settings, { postsPerWeek = settings.posts_per_week, startWeek } = {}) {
+  const lastWeek = settings.plan_weeks;
+  const firstWeek = Math.min(Math.max(1, startWeek ?? currentWeek(settings)), lastWeek);
+  const weeks = new Map();
+  const place = (week, article) => {
+    if (!weeks.has(week)) weeks.set(week, []);
+    weeks.get(week).push(article);
+  };
+
+  // Fixed articles keep their week, or stay unscheduled without one
+  const fixed = articles.filter(a => FIXED_STATUSES.includes(a.status));
+  const movable = articles
+    .filter(a => !fixed.includes(a))
+    .sort((a, b) =>
+      (PRIORITY_ORDER[a.priority] ?? 3) - (PRIORITY_ORDER[b.priority] ?? 3) ||
+      (a.week ?? Infinity) - (b.week ?? Infinity) ||
+      String(a.article_id).localeCompare(String(b.article_id))
+    );
+  fixed.filter(a => a.week != null).forEach(a => place(a.week, a));
+
+  const load = week => (weeks.get(week) || []).length;
+  // Same category in this or a neighbouring week, or same funnel stage next door
+  const clashes = (week, article) => {
+    let cost = 0;
+    [week - 1, week, week + 1].forEach(w => (weeks.get(w) || []).forEach(other => {
+      if (article.category && other.category === article.category) cost += 2;
+      if (w !== week && article.funnel && other.funnel === article.funnel) cost += 1;
+    }));
+    return cost;
+  };
+
+  const changes = [];
+  const unplaced = [];
+  movable.forEach(article => {
+    const open = [];
+    for (let w = firstWeek; w <= lastWeek && open.length <= LOOKAHEAD; w++) {
+      if (load(w) < postsPerWeek) open.push(w);
+    }
+    if (!open.length) {
+      unplaced.push({ id: article.id, article_id: article.article_id, title: article.title, week: article.week });
+      return;
+    }
+    // A week's slip costs 1 and clashes 1.5x their weight, so dodging a category clash is worth up to 3 weeks
+    const week = open
+      .map((w, slip) => ({ w, cost: clashes(w, article) * 1.5 + slip }))
+      .sort((a, b) => a.cost - b.cost || a.w - b.w)[0].w;
+    place(week, article);
+    if (week !== article.week) {
+      changes.push({
+        id: article.id,
+        article_id: article.article_id,
+        title: article.title,
+        priority: article.priority,
+        category: article.category,
+        from_week: article.week ?? null,
+        to_week: week
+      });
+    }
+  });
+
+  changes.sort((a, b) => a.to_week - b.to_week || a.article_id.localeCompare(b.article_id));
+  return { start_week: firstWeek, posts_per_week: postsPerWeek, fixed: fixed.length, changes, unplaced };
+}
+
+module.exports = { FIXED_STATUSES, currentWeek, proposeSchedule };
@@ -0,0 +1,95 @@
+const { validateTransitions } = require('./validation');
+
+// Per-plan settings, stored as JSON values in sf_settings and merged over these defaults
+const SETTINGS = {
+  // First day of week 1; week N starts (N - 1) * 7 days later
+  plan_start_date: {
+    default: process.env.PLAN_START_DATE || '2026-01-05',
+    validate: v => /^\d{4}-\d{2}-\d{2}$/.test(v) && !isNaN(Date.parse(v)) ? null : 'must be a YYYY-MM-DD date'
+  },
+  // ISO weekday (1 = Monday) used when an article has no publish_day of its own
+  default_publish_day: {
+    default: 1,
+    validate: v => Number.isInteger(v) && v >= 1 && v <= 7 ? null : 'must be an integer from 1 (Monday) to 7 (Sunday)'
+  },
+  // Schedule balancer capacity, and how many weeks the plan runs
+  posts_per_week: {
+    default: 2,
+    validate: v => Number.isInteger(v) && v >= 1 && v <= 20 ? null : 'must be an integer from 1 to 20'
+  },
+  // Writer roster: user id -> words they can write per week. Only writers on it can be
+  // assigned articles; the workload view flags weeks where assignments exceed it.
+  writer_capacity: {
+    default: {},
+    validate: v => v && typeof v === 'object' && !Array.isArray(v) &&
+      Object.entries(v).every(([id, words]) => /^[1-9]\d*$/.test(id) && Number.isInteger(words) && words >= 1 && words <= 100000)
+      ? null
+      : 'must be an object of user id -> weekly words (1 to 100000)'
+  },
+  plan_weeks: {
+    default: 52,
+    validate: v => Number.isInteger(v) && v >= 1 && v <= 53 ? null : 'must be an integer from 1 to 53'
+  },
+  // Allowed values for an article's category
+  categories: {
+    default: [
+      'Hardware Integrations', 'Hardware Comparisons', 'Software Comparisons', 'Platform Guides',
+      'Industry Guides', 'Skills & Techniques', 'Script Writing', 'Production & Setup'
+    ],
+    validate: v => Array.isArray(v) && v.length > 0 && v.every(c => typeof c === 'string' && c.trim())
+      ? null
+      : 'must be a non-empty list of names'
+  },
+  // Hub-and-spoke linking: articles in each category should link to these categories.
+  // Link suggestions rank matching targets higher.
+  link_categories: {
+    default: {
+      'Hardware Comparisons': ['Hardware Integrations'],
+      'Software Comparisons': ['Platform Guides'],
+      'Hardware Integrations': ['Production & Setup'],
+      'Platform Guides': ['Production & Setup', 'Skills & Techniques'],
+      'Industry Guides': ['Script Writing', 'Skills & Techniques'],
+      'Skills & Techniques': ['Script Writing'],
+      'Script Writing': ['Skills & Techniques'],
+      'Production & Setup': ['Hardware Integrations']
+    },
+    validate: v => v && typeof v === 'object' && !Array.isArray(v) &&
+      Object.values(v).every(targets => Array.isArray(targets) && targets.every(t => typeof t === 'string'))
+      ? null
+      : 'must be an object of category -> [categories]'
+  },
+  // Status workflow PATCH enforces: each status lists where it may move next
+  status_transitions: {
+    default: {
+      planned: ['in_progress'],
+      in_progress: ['planned', 'written'],
+      written: ['in_progress', 'published'],
+      published: ['written']
+    },
+    validate: validateTransitions
+  }
+};
+
+function defaultSettings() {
+  return Object.fromEntries(Object.entries(SETTINGS).map(([key, def]) => [key, def.default]));
+}
+
+async function loadSettings(store, planId) {
+  return { ...defaultSettings(), ...await store.getSettings(planId) };
+}
+
+// Returns { key: message } for every invalid or unknown key, or null
+function validateSettings(changes) {
+  const errors = {};
+  Object.entries(changes).forEach(([key, value]) => {
+    if (!SETTINGS[key]) {
+      errors[key] = 'unknown setting';
+    } else {
+      const error = SETTINGS[key].validate(value);
+      if (error) errors[key] = error;
+    }
+  });
+  return Object.keys(errors).length ? errors : null;
+}
+
+module.exports = { SETTINGS, defaultSettings, loadSettings, validateSettings };
@@ -0,0 +1,12 @@
+const { createPgStore } = require('./pg');
+const { createMemoryStore } = require('./memory');
+
+// Postgres when DATABASE_URL is set, otherwise memory (persisted to DATA_FILE if given)
+function createStore(env = process.env) {
+  if (env.DATABASE_URL) {
+    return createPgStore({ connectionString: env.DATABASE_URL });
+  }
+  return createMemoryStore({ file: env.DATA_FILE });
+}
+
+module.exports = { createStore };
@@ -0,0 +1,707 @@
+const fs = require('fs');
+const path = require('path');
+const { encodeCursor } = require('../query');
+const { defaultPlan } = require('../plans');
+
+const ARTICLE_FIELDS = ['title', 'keyword', 'intent', 'funnel', 'description', 'priority', 'word_count', 'category', 'week'];
+const UPDATABLE_FIELDS = ['article_id', ...ARTICLE_FIELDS, 'status', 'notes', 'publish_day', 'published_url', 'published_date', 'assignee_id'];
+// Copied into a cloned plan, like CLONED_COLUMNS in the pg store
+const CLONED_FIELDS = ['article_id', ...ARTICLE_FIELDS, 'notes', 'publish_day'];
+
+// Everything but the token hashes, like USER_COLUMNS in the pg store
+function publicUser({ token_hash, feed_token_hash, ...user }) {
+  return user;
+}
+
+// Field weights as ts_rank uses them for the A, B and C labels in the pg store
+const SEARCH_WEIGHTS = { title: 1, keyword: 1, description: 0.4, notes: 0.2 };
+const PRIORITY_RANK = { High: 1, Medium: 2, Low: 3 };
+const STATUS_RANK = { planned: 1, in_progress: 2, written: 3, published: 4 };
+const LAST = Number.MAX_SAFE_INTEGER;
+
+// Sort key per sort field, mirroring SORT_KEYS in the pg store
+const SORT_KEYS = {
+  week: a => [a.week ?? LAST, a.article_id],
+  article_id: a => [a.article_id],
+  title: a => [a.title],
+  priority: a => [PRIORITY_RANK[a.priority] || 4, a.week ?? LAST],
+  status: a => [STATUS_RANK[a.status] || 5, a.week ?? LAST],
+  category: a => [a.category || '', a.week ?? LAST],
+  word_count: a => [a.word_count || 0],
+  created_at: a => [a.created_at],
+  updated_at: a => [a.updated_at],
+  relevance: a => [a._rank]
+};
+
+// Prefix-matches every term against the weighted fields; 0 means no match
+function searchRank(article, terms) {
+  let rank = 0;
+  for (const term of terms) {
+    let best = 0;
+    Object.entries(SEARCH_WEIGHTS).forEach(([field, weight]) => {
+      const words = String(article[field] || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+      if (weight > best && words.some(w => w.startsWith(term))) best = weight;
+    });
+    if (!best) return 0;
+    rank += best;
+  }
+  return rank / terms.length;
+}
+
+function compareKeys(a, b) {
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] < b[i]) return -1;
+    if (a[i] > b[i]) return 1;
+  }
+  return 0;
+}
+
+function now() {
+  return new Date().toISOString();
+}
+
+// Mirrors Postgres ORDER BY week, article_id (NULL weeks last)
+function compareArticles(a, b) {
+  if (a.week !== b.week) {
+    if (a.week == null) return 1;
+    if (b.week == null) return -1;
+    return a.week - b.week;
+  }
+  return a.article_id < b.article_id ? -1 : a.article_id > b.article_id ? 1 : 0;
+}
+
+// In-memory store, optionally persisted to a JSON file between restarts
+function createMemoryStore({ file } = {}) {
+  // settings are keyed by plan id
+  let data = {
+    seq: {}, plans: [], articles: [], links: [], performance: [], webhooks: [], deliveries: [],
+    views: [], drafts: [], users: [], sessions: [], history: [], settings: {}
+  };
+
+  function nextId(table) {
+    data.seq[table] = (data.seq[table] || 0) + 1;
+    return data.seq[table];
+  }
+
+  function persist() {
+    if (!file) return;
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, file);
+  }
+
+  function findArticle(planId, id) {
+    return data.articles.find(a => a.id === Number(id) && a.plan_id === planId) || null;
+  }
+
+  function planArticles(planId) {
+    return data.articles.filter(a => a.plan_id === planId);
+  }
+
+  function createPlanRow({ slug, name, year }, settings) {
+    if (data.plans.some(p => p.slug === slug)) {
+      throw new Error(`A plan with slug ${slug} already exists`);
+    }
+    const plan = { id: nextId('plans'), slug, name, year, created_at: now() };
+    plan.updated_at = plan.created_at;
+    data.plans.push(plan);
+    data.settings[plan.id] = { ...settings };
+    return plan;
+  }
+
+  // `extras` (status, notes, publish_day) only overwrite existing values when given.
+  // Returns null if the article exists at a version other than `version`.
+  function writeArticle(planId, fields, extras, version = null) {
+    if (!fields.article_id || !fields.title) {
+      throw new Error('article_id and title are required');
+    }
+    const existing = data.articles.find(a => a.plan_id === planId && a.article_id === fields.article_id);
+    if (existing) {
+      if (version != null && existing.version !== version) return null;
+      ARTICLE_FIELDS.forEach(f => { existing[f] = fields[f] ?? null; });
+      Object.entries(extras).forEach(([f, value]) => {
+        if (value != null) existing[f] = value;
+      });
+      existing.version += 1;
+      existing.updated_at = now();
+      return existing;
+    }
+    const row = { id: nextId('articles'), plan_id: planId, article_id: fields.article_id };
+    ARTICLE_FIELDS.forEach(f => { row[f] = fields[f] ?? null; });
+    row.status = extras.status ?? 'planned';
+    row.notes = extras.notes ?? null;
+    row.publish_day = extras.publish_day ?? null;
+    row.published_url = null;
+    row.published_date = null;
+    row.assignee_id = null;
+    row.version = 1;
+    row.created_at = now();
+    row.updated_at = row.created_at;
+    data.articles.push(row);
+    return row;
+  }
+
+  function findWebhook(planId, id) {
+    return data.webhooks.find(w => w.id === Number(id) && w.plan_id === planId) || null;
+  }
+
+  function findUser(id) {
+    return data.users.find(u => u.id === Number(id)) || null;
+  }
+
+  const store = {
+    kind: file ? 'file' : 'memory',
+    ready: false,
+
+    async init() {
+      if (file && fs.existsSync(file)) {
+        data = { ...data, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+        // Files saved before articles had versions
+        data.articles.forEach(a => { if (a.version == null) a.version = 1; });
+      } else if (file) {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+      }
+      // New stores and files saved before plans: everything goes into one plan
+      if (!data.plans.length) {
+        const plan = createPlanRow(defaultPlan(data.settings.plan_start_date), data.settings);
+        data.settings = { [plan.id]: data.settings[plan.id] };
+        data.articles.forEach(a => { a.plan_id = plan.id; });
+        data.performance.forEach(p => { p.plan_id = plan.id; });
+        persist();
+      }
+      store.ready = true;
+    },
+
+    async listPlans() {
+      return data.plans.map(p => ({ ...p }));
+    },
+
+    // A new, empty plan with its settings
+    async createPlan(plan, settings = {}) {
+      const row = createPlanRow(plan, settings);
+      persist();
+      return { ...row };
+    },
+
+    // A new plan with copies of the source plan's articles (back to planned) and
+    // the links between them
+    async clonePlan(sourceId, plan, settings = {}) {
+      const row = createPlanRow(plan, settings);
+      const copies = new Map();
+      planArticles(sourceId).forEach(source => {
+        const copy = writeArticle(row.id, Object.fromEntries(CLONED_FIELDS.map(f => [f, source[f]])), {
+          notes: source.notes,
+          publish_day: source.publish_day
+        });
+        copies.set(source.id, copy.id);
+      });
+      data.links
+        .filter(l => copies.has(l.from_id) && copies.has(l.to_id))
+        .forEach(l => data.links.push({
+          ...l,
+          id: nextId('links'),
+          from_id: copies.get(l.from_id),
+          to_id: copies.get(l.to_id),
+          created_at: now()
+        }));
+      persist();
+      return { ...row };
+    },
+
+    async updatePlan(id, { slug, name }) {
+      const plan = data.plans.find(p => p.id === Number(id));
+      if (!plan) return null;
+      if (slug != null && data.plans.some(p => p.slug === slug && p !== plan)) {
+        throw new Error(`A plan with slug ${slug} already exists`);
+      }
+      if (slug != null) plan.slug = slug;
+      if (name != null) plan.name = name;
+      plan.updated_at = now();
+      persist();
+      return { ...plan };
+    },
+
+    // Takes the plan's articles, links, settings and performance data with it
+    async deletePlan(id) {
+      const plan = data.plans.find(p => p.id === Number(id));
+      if (!plan) return false;
+      const ids = new Set(planArticles(plan.id).map(a => a.id));
+      data.plans = data.plans.filter(p => p !== plan);
+      data.articles = data.articles.filter(a => !ids.has(a.id));
+      data.links = data.links.filter(l => !ids.has(l.from_id) && !ids.has(l.to_id));
+      data.performance = data.performance.filter(p => p.plan_id !== plan.id);
+      const hooks = new Set(data.webhooks.filter(w => w.plan_id === plan.id).map(w => w.id));
+      data.webhooks = data.webhooks.filter(w => !hooks.has(w.id));
+      data.deliveries = data.deliveries.filter(d => !hooks.has(d.webhook_id));
+      data.views = data.views.filter(v => v.plan_id !== plan.id);
+      data.drafts = data.drafts.filter(d => !ids.has(d.article_id));
+      data.history = data.history.filter(h => !ids.has(h.article_id));
+      delete data.settings[plan.id];
+      persist();
+      return true;
+    },
+
+    async listArticles(planId) {
+      return planArticles(planId).map(a => ({ ...a })).sort(compareArticles);
+    },
+
+    // Filtered, sorted, keyset-paginated articles (see parseArticleQuery)
+    async queryArticles(planId, query) {
+      let rows = planArticles(planId).filter(a =>
+        ['category', 'priority', 'funnel', 'status'].every(key => !query[key] || a[key] === query[key]) &&
+        (query.week_from === undefined || (a.week != null && a.week >= query.week_from)) &&
+        (query.week_to === undefined || (a.week != null && a.week <= query.week_to)) &&
+        (query.assignee === undefined || a.assignee_id === query.assignee)
+      );
+      if (query.terms) {
+        rows = rows
+          .map(a => ({ ...a, _rank: searchRank(a, query.terms) }))
+          .filter(a => a._rank > 0);
+      }
+
+      const sign = query.sort.desc ? -1 : 1;
+      const keyOf = a => [...SORT_KEYS[query.sort.field](a), a.id];
+      rows = rows.map(a => ({ row: a, key: keyOf(a) })).sort((x, y) => sign * compareKeys(x.key, y.key));
+      if (query.cursor) {
+        rows = rows.filter(({ key }) => sign * compareKeys(key, query.cursor) > 0);
+      }
+
+      const more = query.limit && rows.length > query.limit;
+      if (more) rows = rows.slice(0, query.limit);
+      const nextCursor = more ? encodeCursor(query.sortParam, rows[rows.length - 1].key) : null;
+      return { articles: rows.map(({ row: { _rank, ...a } }) => ({ ...a })), nextCursor };
+    },
+
+    async getArticle(planId, id) {
+      const row = findArticle(planId, id);
+      return row && { ...row };
+    },
+
+    async getArticleByArticleId(planId, articleId) {
+      const row = data.articles.find(a => a.plan_id === planId && a.article_id === articleId);
+      return row ? { ...row } : null;
+    },
+
+    async upsertArticle(planId, a, { version = null } = {}) {
+      const row = writeArticle(planId, a, { status: a.status, notes: a.notes, publish_day: a.publish_day }, version);
+      if (!row) return null;
+      persist();
+      return { ...row };
+    },
+
+    // Several upserts, all or nothing
+    async upsertArticles(planId, list) {
+      const snapshot = JSON.stringify(data);
+      let rows;
+      try {
+        rows = list.map(a => ({ ...writeArticle(planId, a, { status: a.status, notes: a.notes, publish_day: a.publish_day }) }));
+      } catch (err) {
+        data = JSON.parse(snapshot);
+        throw err;
+      }
+      persist();
+      return rows;
+    },
+
+    // Only the fields given change; null clears one. With `version`, returns null
+    // unless the row is still at that version.
+    async updateArticle(planId, id, changes, { version = null } = {}) {
+      const row = findArticle(planId, id);
+      if (!row || (version != null && row.version !== version)) return null;
+      UPDATABLE_FIELDS.forEach(f => {
+        if (changes[f] !== undefined) row[f] = changes[f];
+      });
+      row.version += 1;
+      row.updated_at = now();
+      persist();
+      return { ...row };
+    },
+
+    async deleteArticle(planId, id) {
+      const row = findArticle(planId, id);
+      if (!row) return false;
+      data.articles = data.articles.filter(a => a !== row);
+      data.links = data.links.filter(l => l.from_id !== row.id && l.to_id !== row.id);
+      data.performance = data.performance.filter(p => p.article_id !== row.id);
+      data.drafts = data.drafts.filter(d => d.article_id !== row.id);
+      persist();
+      return true;
+    },
+
+    // Takes seed-shaped articles (id, wordCount) as sent by the client
+    async bulkImport(planId, articles) {
+      // Snapshot first so a bad row leaves nothing half-imported
+      const snapshot = JSON.stringify(data);
+      let rows;
+      try {
+        rows = articles.map(article => ({
+          ...writeArticle(planId, { ...article, article_id: article.id, word_count: article.wordCount }, {})
+        }));
+      } catch (err) {
+        data = JSON.parse(snapshot);
+        throw err;
+      }
+      persist();
+      return rows;
+    },
+
+    async getStats(planId) {
+      const rows = planArticles(planId);
+      const count = fn => rows.filter(fn).length;
+      return {
+        total: rows.length,
+        high_priority: count(a => a.priority === 'High'),
+        medium_priority: count(a => a.priority === 'Medium'),
+        low_priority: count(a => a.priority === 'Low'),
+        planned: count(a => a.status === 'planned'),
+        in_progress: count(a => a.status === 'in_progress'),
+        written: count(a => a.status === 'written'),
+        published: count(a => a.status === 'published')
+      };
+    },
+
+    // Links never cross plans, so the source article's plan is the link's
+    async listLinks(planId) {
+      const ids = new Set(planArticles(planId).map(a => a.id));
+      return data.links.filter(l => ids.has(l.from_id)).map(l => ({ ...l }));
+    },
+
+    // Returns null when the link already exists
+    async addLink({ from_id, to_id, anchor_text, created_by }) {
+      if (data.links.some(l => l.from_id === from_id && l.to_id === to_id)) return null;
+      const link = { id: nextId('links'), from_id, to_id, anchor_text: anchor_text ?? null, created_by, created_at: now() };
+      data.links.push(link);
+      persist();
+      return { ...link };
+    },
+
+    async deleteLink(planId, id) {
+      const link = data.links.find(l => l.id === Number(id) && findArticle(planId, l.from_id));
+      if (!link) return false;
+      data.links = data.links.filter(l => l !== link);
+      persist();
+      return true;
+    },
+
+    async listPerformance(planId) {
+      return data.performance.filter(p => p.plan_id === planId).map(p => ({ ...p }));
+    },
+
+    // Swaps in a new performance snapshot
+    async replacePerformance(planId, rows) {
+      const importedAt = now();
+      data.performance = [
+        ...data.performance.filter(p => p.plan_id !== planId),
+        ...rows.map(r => ({ id: nextId('performance'), plan_id: planId, ...r, imported_at: importedAt }))
+      ];
+      persist();
+    },
+
+    async addHistory(entries) {
+      entries.forEach(e => data.history.push({ id: nextId('history'), ...e, changed_at: now() }));
+      persist();
+    },
+
+    async listHistory(articleId) {
+      return data.history.filter(h => h.article_id === Number(articleId)).reverse();
+    },
+
+    // Every recorded status change, oldest first
+    async listStatusChanges(planId) {
+      const ids = new Set(planArticles(planId).map(a => a.id));
+      return data.history
+        .filter(h => h.field === 'status' && ids.has(h.article_id))
+        .map(({ article_id, old_value, new_value, changed_at }) => ({ article_id, old_value, new_value, changed_at }));
+    },
+
+    async getSettings(planId) {
+      return { ...data.settings[planId] };
+    },
+
+    async setSettings(planId, changes) {
+      data.settings[planId] = { ...data.settings[planId], ...changes };
+      persist();
+    },
+
+    async listWebhooks(planId) {
+      return data.webhooks.filter(w => w.plan_id === planId).map(w => ({ ...w, events: [...w.events] }));
+    },
+
+    async getWebhook(planId, id) {
+      const hook = findWebhook(planId, id);
+      return hook && { ...hook, events: [...hook.events] };
+    },
+
+    async createWebhook(planId, { url, secret, events, active = true }) {
+      const hook = { id: nextId('webhooks'), plan_id: planId, url, secret, events: [...events], active, created_at: now() };
+      hook.updated_at = hook.created_at;
+      data.webhooks.push(hook);
+      persist();
+      return { ...hook, events: [...hook.events] };
+    },
+
+    async updateWebhook(planId, id, changes) {
+      const hook = findWebhook(planId, id);
+      if (!hook) return null;
+      ['url', 'secret', 'events', 'active'].forEach(f => {
+        if (changes[f] !== undefined) hook[f] = f === 'events' ? [...changes[f]] : changes[f];
+      });
+      hook.updated_at = now();
+      persist();
+      return { ...hook, events: [...hook.events] };
+    },
+
+    // Takes its deliveries, queued ones included, with it
+    async deleteWebhook(planId, id) {
+      const hook = findWebhook(planId, id);
+      if (!hook) return false;
+      data.webhooks = data.webhooks.filter(w => w !== hook);
+      data.deliveries = data.deliveries.filter(d => d.webhook_id !== hook.id);
+      persist();
+      return true;
+    },
+
+    // Queues deliveries: due now unless next_attempt_at says otherwise (null: never)
+    async addDeliveries(deliveries) {
+      const rows = deliveries.map(d => ({
+        id: nextId('deliveries'),
+        webhook_id: d.webhook_id,
+        event: d.event,
+        payload: d.payload,
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: d.next_attempt_at === undefined ? now() : d.next_attempt_at && new Date(d.next_attempt_at).toISOString(),
+        last_attempt_at: null,
+        response_status: null,
+        response_body: null,
+        error: null,
+        created_at: now()
+      }));
+      data.deliveries.push(...rows);
+      persist();
+      return rows.map(d => ({ ...d }));
+    },
+
+    // Due deliveries of active webhooks, each with its webhook's url and secret;
+    // not due again until leaseUntil
+    async claimDeliveries({ now: at, leaseUntil, limit }) {
+      const active = new Map(data.webhooks.filter(w => w.active).map(w => [w.id, w]));
+      const due = data.deliveries
+        .filter(d => d.status === 'pending' && d.next_attempt_at && new Date(d.next_attempt_at) <= at && active.has(d.webhook_id))
+        .sort((a, b) => a.next_attempt_at.localeCompare(b.next_attempt_at) || a.id - b.id)
+        .slice(0, limit);
+      due.forEach(d => { d.next_attempt_at = new Date(leaseUntil).toISOString(); });
+      if (due.length) persist();
+      return due
+        .map(d => ({ ...d, url: active.get(d.webhook_id).url, secret: active.get(d.webhook_id).secret }))
+        .sort((a, b) => a.id - b.id);
+    },
+
+    async updateDelivery(id, changes) {
+      const delivery = data.deliveries.find(d => d.id === Number(id));
+      if (!delivery) return null;
+      Object.entries(changes).forEach(([f, value]) => {
+        delivery[f] = value instanceof Date ? value.toISOString() : value;
+      });
+      persist();
+      return { ...delivery };
+    },
+
+    // Newest first
+    async listDeliveries(webhookId, { limit = 50 } = {}) {
+      return data.deliveries
+        .filter(d => d.webhook_id === Number(webhookId))
+        .slice(-limit)
+        .reverse()
+        .map(d => ({ ...d }));
+    },
+
+    // Back in the queue, due now, with a fresh set of retries
+    async retryDelivery(webhookId, id) {
+      const delivery = data.deliveries.find(d => d.id === Number(id) && d.webhook_id === Number(webhookId));
+      if (!delivery) return null;
+      Object.assign(delivery, { status: 'pending', attempts: 0, next_attempt_at: now() });
+      persist();
+      return { ...delivery };
+    },
+
+    // Drops finished deliveries created before `before` from the log
+    async pruneDeliveries(before) {
+      const cutoff = new Date(before).toISOString();
+      const kept = data.deliveries.filter(d => d.status === 'pending' || d.created_at >= cutoff);
+      if (kept.length < data.deliveries.length) {
+        data.deliveries = kept;
+        persist();
+      }
+    },
+
+    async getDraft(planId, articleId) {
+      const draft = findArticle(planId, articleId) && data.drafts.find(d => d.article_id === Number(articleId));
+      return draft ? { ...draft, user_name: findUser(draft.updated_by)?.name ?? null } : null;
+    },
+
+    async saveDraft(planId, articleId, { body, word_count, updated_by }, { version = null } = {}) {
+      const article = findArticle(planId, articleId);
+      if (!article) return null;
+      let draft = data.drafts.find(d => d.article_id === article.id);
+      if (draft && version != null && draft.version !== version) return null;
+      if (draft) {
+        Object.assign(draft, { body, word_count, updated_by, version: draft.version + 1, updated_at: now() });
+      } else {
+        draft = { article_id: article.id, body, word_count, version: 1, updated_by, updated_at: now() };
+        data.drafts.push(draft);
+      }
+      persist();
+      return { ...draft };
+    },
+
+    async listDrafts(planId) {
+      const ids = new Set(planArticles(planId).map(a => a.id));
+      return data.drafts.filter(d => ids.has(d.article_id)).map(d => ({ ...d }));
+    },
+
+    // The user's own views and the ones others shared, with who saved each
+    async listSavedViews(planId, userId) {
+      return data.views
+        .filter(v => v.plan_id === planId && (v.user_id === userId || v.shared))
+        .map(v => ({ ...v, filters: { ...v.filters }, user_name: findUser(v.user_id)?.name ?? null }))
+        .sort((a, b) => a.name.localeCompare(b.name) || a.id - b.id);
+    },
+
+    async getSavedView(planId, id) {
+      const view = data.views.find(v => v.plan_id === planId && v.id === Number(id));
+      return view ? { ...view, filters: { ...view.filters } } : null;
+    },
+
+    async createSavedView(planId, { user_id, name, filters, shared = false }) {
+      if (data.views.some(v => v.plan_id === planId && v.user_id === user_id && v.name === name)) {
+        throw new Error(`A view named ${name} already exists`);
+      }
+      const view = { id: nextId('views'), plan_id: planId, user_id, name, filters: { ...filters }, shared, created_at: now() };
+      view.updated_at = view.created_at;
+      data.views.push(view);
+      persist();
+      return { ...view, filters: { ...view.filters } };
+    },
+
+    async updateSavedView(planId, id, { name, filters, shared }) {
+      const view = data.views.find(v => v.plan_id === planId && v.id === Number(id));
+      if (!view) return null;
+      if (name != null && data.views.some(v => v !== view && v.plan_id === planId && v.user_id === view.user_id && v.name === name)) {
+        throw new Error(`A view named ${name} already exists`);
+      }
+      if (name != null) view.name = name;
+      if (filters != null) view.filters = { ...filters };
+      if (shared != null) view.shared = shared;
+      view.updated_at = now();
+      persist();
+      return { ...view, filters: { ...view.filters } };
+    },
+
+    async deleteSavedView(planId, id) {
+      const before = data.views.length;
+      data.views = data.views.filter(v => !(v.plan_id === planId && v.id === Number(id)));
+      persist();
+      return data.views.length < before;
+    },
+
+    async countUsers() {
+      return data.users.length;
+    },
+
+    async listUsers() {
+      return data.users.map(publicUser);
+    },
+
+    async getUser(id) {
+      const user = findUser(id);
+      return user && publicUser(user);
+    },
+
+    async createUser({ name, email, role, token_hash }) {
+      if (email && data.users.some(u => u.email === email)) {
+        throw new Error(`A user with email ${email} already exists`);
+      }
+      const user = { id: nextId('users'), name, email, role, token_hash, created_at: now() };
+      user.updated_at = user.created_at;
+      data.users.push(user);
+      persist();
+      return publicUser(user);
+    },
+
+    async updateUser(id, { name, email, role }) {
+      const user = findUser(id);
+      if (!user) return null;
+      if (name != null) user.name = name;
+      if (email != null) user.email = email;
+      if (role != null) user.role = role;
+      user.updated_at = now();
+      persist();
+      return publicUser(user);
+    },
+
+    async setUserToken(id, token_hash) {
+      const user = findUser(id);
+      if (!user) return null;
+      user.token_hash = token_hash;
+      user.updated_at = now();
+      persist();
+      return publicUser(user);
+    },
+
+    async deleteUser(id) {
+      const before = data.users.length;
+      data.users = data.users.filter(u => u.id !== Number(id));
+      data.sessions = data.sessions.filter(s => s.user_id !== Number(id));
+      data.views = data.views.filter(v => v.user_id !== Number(id));
+      // Like ON DELETE SET NULL on sf_articles.assignee_id
+      data.articles.filter(a => a.assignee_id === Number(id)).forEach(a => { a.assignee_id = null; });
+      data.drafts.filter(d => d.updated_by === Number(id)).forEach(d => { d.updated_by = null; });
+      persist();
+      return data.users.length < before;
+    },
+
+    async findUserByTokenHash(token_hash) {
+      const user = data.users.find(u => u.token_hash === token_hash);
+      return user ? publicUser(user) : null;
+    },
+
+    async setUserFeedToken(id, feed_token_hash) {
+      const user = findUser(id);
+      if (!user) return;
+      user.feed_token_hash = feed_token_hash;
+      user.updated_at = now();
+      persist();
+    },
+
+    async findUserByFeedTokenHash(feed_token_hash) {
+      const user = feed_token_hash && data.users.find(u => u.feed_token_hash === feed_token_hash);
+      return user ? publicUser(user) : null;
+    },
+
+    async createSession({ token_hash, user_id, expires_at }) {
+      data.sessions.push({ token_hash, user_id, created_at: now(), expires_at: new Date(expires_at).toISOString() });
+      persist();
+    },
+
+    async findSessionUser(token_hash) {
+      const session = data.sessions.find(s => s.token_hash === token_hash && new Date(s.expires_at) > new Date());
+      const user = session && findUser(session.user_id);
+      return user ? publicUser(user) : null;
+    },
+
+    async deleteSession(token_hash) {
+      data.sessions = data.sessions.filter(s => s.token_hash !== token_hash);
+      persist();
+    },
+
+    async deleteUserSessions(user_id) {
+      data.sessions = data.sessions.filter(s => s.user_id !== Number(user_id));
+      persist();
+    }
+  };
+
+  return store;
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,739 @@
+const { Pool, types } = require('pg');
+const { migrateUp } = require('../migrations');
+const { encodeCursor } = require('../query');
+
+const ARTICLE_UPSERT = `
+  INSERT INTO sf_articles (plan_id, article_id, title, keyword, intent, funnel, description, priority, word_count, category, week, status, notes, publish_day)
+  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+  ON CONFLICT (plan_id, article_id) DO UPDATE SET
+    title = EXCLUDED.title,
+    keyword = EXCLUDED.keyword,
+    intent = EXCLUDED.intent,
+    funnel = EXCLUDED.funnel,
+    description = EXCLUDED.description,
+    priority = EXCLUDED.priority,
+    word_count = EXCLUDED.word_count,
+    category = EXCLUDED.category,
+    week = EXCLUDED.week,
+    status = COALESCE(EXCLUDED.status, sf_articles.status),
+    notes = COALESCE(EXCLUDED.notes, sf_articles.notes),
+    publish_day = COALESCE(EXCLUDED.publish_day, sf_articles.publish_day),
+    version = sf_articles.version + 1,
+    updated_at = CURRENT_TIMESTAMP
+  WHERE $15::integer IS NULL OR sf_articles.version = $15
+  RETURNING *`;
+
+// `version`, when given, is the row version an existing article must still be at
+function upsertParams(planId, a, version = null) {
+  return [
+    planId, a.article_id, a.title, a.keyword, a.intent, a.funnel, a.description,
+    a.priority, a.word_count, a.category, a.week, a.status, a.notes, a.publish_day, version
+  ];
+}
+
+// DATE columns (published_date) as 'YYYY-MM-DD' rather than local-midnight Date objects
+types.setTypeParser(types.builtins.DATE, value => value);
+
+// Columns updateArticle may set; names are interpolated, so never take them from input
+const UPDATABLE_COLUMNS = [
+  'article_id', 'title', 'keyword', 'intent', 'funnel', 'description', 'priority',
+  'word_count', 'category', 'week', 'status', 'notes', 'publish_day', 'published_url', 'published_date',
+  'assignee_id'
+];
+
+// Bulk import leaves status and notes alone on existing rows
+const ARTICLE_IMPORT = `
+  INSERT INTO sf_articles (plan_id, article_id, title, keyword, intent, funnel, description, priority, word_count, category, week)
+  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+  ON CONFLICT (plan_id, article_id) DO UPDATE SET
+    title = EXCLUDED.title,
+    keyword = EXCLUDED.keyword,
+    intent = EXCLUDED.intent,
+    funnel = EXCLUDED.funnel,
+    description = EXCLUDED.description,
+    priority = EXCLUDED.priority,
+    word_count = EXCLUDED.word_count,
+    category = EXCLUDED.category,
+    week = EXCLUDED.week,
+    version = sf_articles.version + 1,
+    updated_at = CURRENT_TIMESTAMP
+  RETURNING *`;
+
+// Must match the sf_articles_search index expression (migration 005)
+const SEARCH_VECTOR = `(
+  setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(keyword, '')), 'A') ||
+  setweight(to_tsvector('english', coalesce(description, '')), 'B') ||
+  setweight(to_tsvector('english', coalesce(notes, '')), 'C')
+)`;
+
+const PRIORITY_RANK = `CASE priority WHEN 'High' THEN 1 WHEN 'Medium' THEN 2 WHEN 'Low' THEN 3 ELSE 4 END`;
+const STATUS_RANK = `CASE status WHEN 'planned' THEN 1 WHEN 'in_progress' THEN 2 WHEN 'written' THEN 3 WHEN 'published' THEN 4 ELSE 5 END`;
+
+// Sort keys per sort field as [expression, type]; the row id is always the final tiebreak.
+// NULLs are folded into values so keyset comparisons stay simple.
+const SORT_KEYS = {
+  week: [['COALESCE(week, 2147483647)', 'integer'], ['article_id', 'text']],
+  article_id: [['article_id', 'text']],
+  title: [['title', 'text']],
+  priority: [[PRIORITY_RANK, 'integer'], ['COALESCE(week, 2147483647)', 'integer']],
+  status: [[STATUS_RANK, 'integer'], ['COALESCE(week, 2147483647)', 'integer']],
+  category: [["COALESCE(category, '')", 'text'], ['COALESCE(week, 2147483647)', 'integer']],
+  word_count: [['COALESCE(word_count, 0)', 'integer']],
+  created_at: [['created_at', 'timestamp']],
+  updated_at: [['updated_at', 'timestamp']],
+  relevance: [[`ts_rank(${SEARCH_VECTOR}, to_tsquery('english', $1))::float8`, 'float8']]
+};
+
+const USER_COLUMNS = 'id, name, email, role, created_at, updated_at';
+
+// Columns a cloned plan copies from its source; status and publishing details start over
+const CLONED_COLUMNS = 'article_id, title, keyword, intent, funnel, description, priority, word_count, category, week, notes, publish_day';
+
+// Rows per INSERT when replacing performance data (8 parameters each)
+const PERFORMANCE_CHUNK = 1000;
+
+// Columns updateWebhook and updateDelivery may set; interpolated like UPDATABLE_COLUMNS
+const WEBHOOK_COLUMNS = ['url', 'secret', 'events', 'active'];
+const DELIVERY_COLUMNS = [
+  'status', 'attempts', 'next_attempt_at', 'last_attempt_at', 'response_status', 'response_body', 'error'
+];
+
+// Postgres-backed store
+function createPgStore({ connectionString }) {
+  const pool = new Pool({
+    connectionString,
+    ssl: { rejectUnauthorized: false }
+  });
+
+  async function transaction(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function writeSettings(client, planId, changes) {
+    for (const [key, value] of Object.entries(changes)) {
+      await client.query(
+        `INSERT INTO sf_settings (plan_id, key, value) VALUES ($1, $2, $3)
+         ON CONFLICT (plan_id, key) DO UPDATE SET value = EXCLUDED.value, updated_at = CURRENT_TIMESTAMP`,
+        [planId, key, JSON.stringify(value)]
+      );
+    }
+  }
+
+  const store = {
+    kind: 'pg',
+    ready: false,
+    pool,
+
+    async init() {
+      const applied = await migrateUp(pool);
+      applied.forEach(name => console.log(`Applied migration ${name}`));
+      store.ready = true;
+    },
+
+    async listPlans() {
+      const result = await pool.query('SELECT * FROM sf_plans ORDER BY id');
+      return result.rows;
+    },
+
+    // A new, empty plan with its settings
+    async createPlan({ slug, name, year }, settings = {}) {
+      return transaction(async client => {
+        const result = await client.query(
+          'INSERT INTO sf_plans (slug, name, year) VALUES ($1, $2, $3) RETURNING *',
+          [slug, name, year]
+        );
+        await writeSettings(client, result.rows[0].id, settings);
+        return result.rows[0];
+      });
+    },
+
+    // A new plan with copies of the source plan's articles (back to planned) and
+    // the links between them
+    async clonePlan(sourceId, { slug, name, year }, settings = {}) {
+      return transaction(async client => {
+        const result = await client.query(
+          'INSERT INTO sf_plans (slug, name, year) VALUES ($1, $2, $3) RETURNING *',
+          [slug, name, year]
+        );
+        const plan = result.rows[0];
+        await writeSettings(client, plan.id, settings);
+        const copies = await client.query(
+          `INSERT INTO sf_articles (plan_id, ${CLONED_COLUMNS})
+           SELECT $1::integer, ${CLONED_COLUMNS} FROM sf_articles WHERE plan_id = $2
+           RETURNING id, article_id`,
+          [plan.id, sourceId]
+        );
+        const copyOf = new Map(copies.rows.map(row => [row.article_id, row.id]));
+        const links = await client.query(
+          `SELECT f.article_id AS from_article, t.article_id AS to_article, l.anchor_text, l.created_by
+           FROM sf_article_links l
+           JOIN sf_articles f ON f.id = l.from_id
+           JOIN sf_articles t ON t.id = l.to_id
+           WHERE f.plan_id = $1`,
+          [sourceId]
+        );
+        for (const link of links.rows) {
+          await client.query(
+            'INSERT INTO sf_article_links (from_id, to_id, anchor_text, created_by) VALUES ($1, $2, $3, $4)',
+            [copyOf.get(link.from_article), copyOf.get(link.to_article), link.anchor_text, link.created_by]
+          );
+        }
+        return plan;
+      });
+    },
+
+    async updatePlan(id, { slug, name }) {
+      const result = await pool.query(
+        `UPDATE sf_plans SET
+          slug = COALESCE($1, slug),
+          name = COALESCE($2, name),
+          updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3 RETURNING *`,
+        [slug, name, id]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Takes the plan's articles, links, settings and performance data with it
+    // Articles and everything hanging off them cascade; history has no FK, so it goes by hand
+    async deletePlan(id) {
+      return transaction(async client => {
+        await client.query('DELETE FROM sf_article_history WHERE article_id IN (SELECT id FROM sf_articles WHERE plan_id = $1)', [id]);
+        const result = await client.query('DELETE FROM sf_plans WHERE id = $1', [id]);
+        return result.rowCount > 0;
+      });
+    },
+
+    async listArticles(planId) {
+      const result = await pool.query('SELECT * FROM sf_articles WHERE plan_id = $1 ORDER BY week, article_id', [planId]);
+      return result.rows;
+    },
+
+    // Filtered, sorted, keyset-paginated articles (see parseArticleQuery)
+    async queryArticles(planId, query) {
+      const where = [];
+      const params = [];
+      const param = value => {
+        params.push(value);
+        return `$${params.length}`;
+      };
+
+      // Relevance refers to $1, so the search term is always bound first
+      if (query.terms) {
+        where.push(`${SEARCH_VECTOR} @@ to_tsquery('english', ${param(query.terms.map(t => `${t}:*`).join(' & '))})`);
+      }
+      where.push(`plan_id = ${param(planId)}`);
+      ['category', 'priority', 'funnel', 'status'].forEach(key => {
+        if (query[key]) where.push(`${key} = ${param(query[key])}`);
+      });
+      if (query.week_from !== undefined) where.push(`week >= ${param(query.week_from)}`);
+      if (query.week_to !== undefined) where.push(`week <= ${param(query.week_to)}`);
+      if (query.assignee !== undefined) where.push(`assignee_id = ${param(query.assignee)}`);
+
+      const keys = [...SORT_KEYS[query.sort.field], ['id', 'integer']];
+      const dir = query.sort.desc ? 'DESC' : 'ASC';
+      if (query.cursor) {
+        if (query.cursor.length !== keys.length) throw new Error('Cursor does not match sort');
+        const bound = keys.map(([, type], i) => `${param(query.cursor[i])}::${type}`);
+        where.push(`(${keys.map(([expr]) => expr).join(', ')}) ${query.sort.desc ? '<' : '>'} (${bound.join(', ')})`);
+      }
+
+      const limit = query.limit ? `LIMIT ${query.limit + 1}` : '';
+      const result = await pool.query(
+        `SELECT *, ARRAY[${keys.map(([expr]) => `(${expr})::text`).join(', ')}] AS sort_key
+         FROM sf_articles
+         WHERE ${where.join(' AND ')}
+         ORDER BY ${keys.map(([expr]) => `${expr} ${dir}`).join(', ')}
+         ${limit}`,
+        params
+      );
+
+      const rows = result.rows;
+      const more = query.limit && rows.length > query.limit;
+      if (more) rows.pop();
+      const last = rows[rows.length - 1];
+      const nextCursor = more ? encodeCursor(query.sortParam, last.sort_key) : null;
+      return { articles: rows.map(({ sort_key, ...row }) => row), nextCursor };
+    },
+
+    async getArticle(planId, id) {
+      const result = await pool.query('SELECT * FROM sf_articles WHERE id = $1 AND plan_id = $2', [id, planId]);
+      return result.rows[0] || null;
+    },
+
+    async getArticleByArticleId(planId, articleId) {
+      const result = await pool.query('SELECT * FROM sf_articles WHERE article_id = $1 AND plan_id = $2', [articleId, planId]);
+      return result.rows[0] || null;
+    },
+
+    // Returns null if the article exists at a version other than `version`
+    async upsertArticle(planId, a, { version = null } = {}) {
+      const result = await pool.query(ARTICLE_UPSERT, upsertParams(planId, a, version));
+      return result.rows[0] || null;
+    },
+
+    // Several upserts in one transaction
+    async upsertArticles(planId, list) {
+      return transaction(async client => {
+        const rows = [];
+        for (const a of list) {
+          const result = await client.query(ARTICLE_UPSERT, upsertParams(planId, a));
+          rows.push(result.rows[0]);
+        }
+        return rows;
+      });
+    },
+
+    // Only the columns given change; null clears one. With `version`, returns null
+    // unless the row is still at that version.
+    async updateArticle(planId, id, changes, { version = null } = {}) {
+      const columns = UPDATABLE_COLUMNS.filter(c => changes[c] !== undefined);
+      const sets = [
+        ...columns.map((c, i) => `${c} = $${i + 1}`),
+        'version = version + 1',
+        'updated_at = CURRENT_TIMESTAMP'
+      ];
+      const params = [...columns.map(c => changes[c]), id, planId];
+      let where = `id = $${params.length - 1} AND plan_id = $${params.length}`;
+      if (version != null) {
+        params.push(version);
+        where += ` AND version = $${params.length}`;
+      }
+      const result = await pool.query(`UPDATE sf_articles SET ${sets.join(', ')} WHERE ${where} RETURNING *`, params);
+      return result.rows[0] || null;
+    },
+
+    async deleteArticle(planId, id) {
+      const result = await pool.query('DELETE FROM sf_articles WHERE id = $1 AND plan_id = $2', [id, planId]);
+      return result.rowCount > 0;
+    },
+
+    // Takes seed-shaped articles (id, wordCount) as sent by the client
+    async bulkImport(planId, articles) {
+      return transaction(async client => {
+        const rows = [];
+        for (const article of articles) {
+          const result = await client.query(ARTICLE_IMPORT, [
+            planId, article.id, article.title, article.keyword, article.intent, article.funnel, article.description,
+            article.priority, article.wordCount, article.category, article.week
+          ]);
+          rows.push(result.rows[0]);
+        }
+        return rows;
+      });
+    },
+
+    async getStats(planId) {
+      const result = await pool.query(`
+        SELECT
+          COUNT(*) as total,
+          COUNT(*) FILTER (WHERE priority = 'High') as high_priority,
+          COUNT(*) FILTER (WHERE priority = 'Medium') as medium_priority,
+          COUNT(*) FILTER (WHERE priority = 'Low') as low_priority,
+          COUNT(*) FILTER (WHERE status = 'planned') as planned,
+          COUNT(*) FILTER (WHERE status = 'in_progress') as in_progress,
+          COUNT(*) FILTER (WHERE status = 'written') as written,
+          COUNT(*) FILTER (WHERE status = 'published') as published
+        FROM sf_articles
+        WHERE plan_id = $1
+      `, [planId]);
+      return result.rows[0];
+    },
+
+    // Links never cross plans, so the source article's plan is the link's
+    async listLinks(planId) {
+      const result = await pool.query(
+        `SELECT l.* FROM sf_article_links l JOIN sf_articles a ON a.id = l.from_id
+         WHERE a.plan_id = $1 ORDER BY l.id`,
+        [planId]
+      );
+      return result.rows;
+    },
+
+    // Returns null when the link already exists
+    async addLink({ from_id, to_id, anchor_text, created_by }) {
+      const result = await pool.query(
+        `INSERT INTO sf_article_links (from_id, to_id, anchor_text, created_by)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (from_id, to_id) DO NOTHING
+         RETURNING *`,
+        [from_id, to_id, anchor_text ?? null, created_by]
+      );
+      return result.rows[0] || null;
+    },
+
+    async deleteLink(planId, id) {
+      const result = await pool.query(
+        `DELETE FROM sf_article_links
+         WHERE id = $1 AND from_id IN (SELECT id FROM sf_articles WHERE plan_id = $2)`,
+        [id, planId]
+      );
+      return result.rowCount > 0;
+    },
+
+    async listPerformance(planId) {
+      const result = await pool.query('SELECT * FROM sf_article_performance WHERE plan_id = $1 ORDER BY id', [planId]);
+      return result.rows;
+    },
+
+    // Swaps in a new performance snapshot, in chunks to stay under the parameter limit
+    async replacePerformance(planId, rows) {
+      await transaction(async client => {
+        await client.query('DELETE FROM sf_article_performance WHERE plan_id = $1', [planId]);
+        for (let start = 0; start < rows.length; start += PERFORMANCE_CHUNK) {
+          const values = [];
+          const tuples = rows.slice(start, start + PERFORMANCE_CHUNK).map(r => {
+            values.push(planId, r.article_id, r.query, r.page, r.clicks, r.impressions, r.position, r.matched_by);
+            const n = values.length - 8;
+            return `($${n + 1}, $${n + 2}, $${n + 3}, $${n + 4}, $${n + 5}, $${n + 6}, $${n + 7}, $${n + 8})`;
+          });
+          await client.query(
+            `INSERT INTO sf_article_performance (plan_id, article_id, query, page, clicks, impressions, position, matched_by)
+             VALUES ${tuples.join(', ')}`,
+            values
+          );
+        }
+      });
+    },
+
+    async addHistory(entries) {
+      const values = [];
+      const rows = entries.map(e => {
+        values.push(e.article_id, e.action, e.field, e.old_value, e.new_value, e.user_id, e.user_name);
+        const n = values.length - 7;
+        return `($${n + 1}, $${n + 2}, $${n + 3}, $${n + 4}, $${n + 5}, $${n + 6}, $${n + 7})`;
+      });
+      await pool.query(
+        `INSERT INTO sf_article_history (article_id, action, field, old_value, new_value, user_id, user_name)
+         VALUES ${rows.join(', ')}`,
+        values
+      );
+    },
+
+    async listHistory(articleId) {
+      const result = await pool.query(
+        'SELECT * FROM sf_article_history WHERE article_id = $1 ORDER BY changed_at DESC, id DESC',
+        [articleId]
+      );
+      return result.rows;
+    },
+
+    // Every recorded status change, oldest first
+    async listStatusChanges(planId) {
+      const result = await pool.query(
+        `SELECT h.article_id, h.old_value, h.new_value, h.changed_at
+         FROM sf_article_history h JOIN sf_articles a ON a.id = h.article_id
+         WHERE h.field = 'status' AND a.plan_id = $1 ORDER BY h.changed_at, h.id`,
+        [planId]
+      );
+      return result.rows;
+    },
+
+    async getSettings(planId) {
+      const result = await pool.query('SELECT key, value FROM sf_settings WHERE plan_id = $1', [planId]);
+      return Object.fromEntries(result.rows.map(r => [r.key, JSON.parse(r.value)]));
+    },
+
+    async setSettings(planId, changes) {
+      await writeSettings(pool, planId, changes);
+    },
+
+    async listWebhooks(planId) {
+      const result = await pool.query('SELECT * FROM sf_webhooks WHERE plan_id = $1 ORDER BY id', [planId]);
+      return result.rows;
+    },
+
+    async getWebhook(planId, id) {
+      const result = await pool.query('SELECT * FROM sf_webhooks WHERE plan_id = $1 AND id = $2', [planId, id]);
+      return result.rows[0] || null;
+    },
+
+    async createWebhook(planId, { url, secret, events, active = true }) {
+      const result = await pool.query(
+        'INSERT INTO sf_webhooks (plan_id, url, secret, events, active) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+        [planId, url, secret, JSON.stringify(events), active]
+      );
+      return result.rows[0];
+    },
+
+    async updateWebhook(planId, id, changes) {
+      const columns = WEBHOOK_COLUMNS.filter(c => changes[c] !== undefined);
+      const sets = [...columns.map((c, i) => `${c} = $${i + 1}`), 'updated_at = CURRENT_TIMESTAMP'];
+      const params = [...columns.map(c => (c === 'events' ? JSON.stringify(changes[c]) : changes[c])), planId, id];
+      const result = await pool.query(
+        `UPDATE sf_webhooks SET ${sets.join(', ')} WHERE plan_id = $${params.length - 1} AND id = $${params.length} RETURNING *`,
+        params
+      );
+      return result.rows[0] || null;
+    },
+
+    // Takes its deliveries, queued ones included, with it
+    async deleteWebhook(planId, id) {
+      const result = await pool.query('DELETE FROM sf_webhooks WHERE plan_id = $1 AND id = $2', [planId, id]);
+      return result.rowCount > 0;
+    },
+
+    // Queues deliveries: due now unless next_attempt_at says otherwise (null: never)
+    async addDeliveries(deliveries) {
+      const rows = [];
+      for (const d of deliveries) {
+        const result = await pool.query(
+          `INSERT INTO sf_webhook_deliveries (webhook_id, event, payload, next_attempt_at)
+           VALUES ($1, $2, $3, $4) RETURNING *`,
+          [d.webhook_id, d.event, d.payload, d.next_attempt_at === undefined ? new Date() : d.next_attempt_at]
+        );
+        rows.push(result.rows[0]);
+      }
+      return rows;
+    },
+
+    // Due deliveries of active webhooks, each with its webhook's url and secret. They
+    // aren't due again until leaseUntil, so other passes and instances skip them.
+    async claimDeliveries({ now, leaseUntil, limit }) {
+      const claimed = await pool.query(
+        `UPDATE sf_webhook_deliveries SET next_attempt_at = $2
+         WHERE id IN (
+           SELECT d.id FROM sf_webhook_deliveries d JOIN sf_webhooks w ON w.id = d.webhook_id
+           WHERE d.status = 'pending' AND d.next_attempt_at <= $1 AND w.active
+           ORDER BY d.next_attempt_at, d.id LIMIT $3
+           FOR UPDATE OF d SKIP LOCKED
+         )
+         RETURNING *`,
+        [now, leaseUntil, limit]
+      );
+      if (claimed.rows.length === 0) return [];
+      const hooks = await pool.query(
+        'SELECT id, url, secret FROM sf_webhooks WHERE id = ANY($1::integer[])',
+        [[...new Set(claimed.rows.map(d => d.webhook_id))]]
+      );
+      const hookFor = new Map(hooks.rows.map(h => [h.id, h]));
+      return claimed.rows
+        .filter(d => hookFor.has(d.webhook_id))
+        .map(d => ({ ...d, url: hookFor.get(d.webhook_id).url, secret: hookFor.get(d.webhook_id).secret }))
+        .sort((a, b) => a.id - b.id);
+    },
+
+    async updateDelivery(id, changes) {
+      const columns = DELIVERY_COLUMNS.filter(c => changes[c] !== undefined);
+      const params = [...columns.map(c => changes[c]), id];
+      const result = await pool.query(
+        `UPDATE sf_webhook_deliveries SET ${columns.map((c, i) => `${c} = $${i + 1}`).join(', ')}
+         WHERE id = $${params.length} RETURNING *`,
+        params
+      );
+      return result.rows[0] || null;
+    },
+
+    // Newest first
+    async listDeliveries(webhookId, { limit = 50 } = {}) {
+      const result = await pool.query(
+        'SELECT * FROM sf_webhook_deliveries WHERE webhook_id = $1 ORDER BY id DESC LIMIT $2',
+        [webhookId, limit]
+      );
+      return result.rows;
+    },
+
+    // Back in the queue, due now, with a fresh set of retries
+    async retryDelivery(webhookId, id) {
+      const result = await pool.query(
+        `UPDATE sf_webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+         WHERE webhook_id = $1 AND id = $2 RETURNING *`,
+        [webhookId, id]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Drops finished deliveries created before `before` from the log
+    async pruneDeliveries(before) {
+      await pool.query(`DELETE FROM sf_webhook_deliveries WHERE status <> 'pending' AND created_at < $1`, [before]);
+    },
+
+    async getDraft(planId, articleId) {
+      const result = await pool.query(
+        `SELECT d.*, u.name AS user_name FROM sf_article_drafts d
+         JOIN sf_articles a ON a.id = d.article_id
+         LEFT JOIN sf_users u ON u.id = d.updated_by
+         WHERE a.plan_id = $1 AND d.article_id = $2`,
+        [planId, articleId]
+      );
+      return result.rows[0] || null;
+    },
+
+    // Creates or replaces the draft. `version`, when given, is the version the
+    // existing draft must still be at; returns null when it isn't.
+    async saveDraft(planId, articleId, { body, word_count, updated_by }, { version = null } = {}) {
+      const result = await pool.query(
+        `INSERT INTO sf_article_drafts (article_id, body, word_count, updated_by)
+         SELECT id, $3::text, $4::integer, $5::integer FROM sf_articles WHERE plan_id = $1 AND id = $2
+         ON CONFLICT (article_id) DO UPDATE SET
+           body = EXCLUDED.body,
+           word_count = EXCLUDED.word_count,
+           updated_by = EXCLUDED.updated_by,
+           version = sf_article_drafts.version + 1,
+           updated_at = CURRENT_TIMESTAMP
+         WHERE $6::integer IS NULL OR sf_article_drafts.version = $6
+         RETURNING *`,
+        [planId, articleId, body, word_count, updated_by, version]
+      );
+      return result.rows[0] || null;
+    },
+
+    async listDrafts(planId) {
+      const result = await pool.query(
+        `SELECT d.* FROM sf_article_drafts d JOIN sf_articles a ON a.id = d.article_id WHERE a.plan_id = $1`,
+        [planId]
+      );
+      return result.rows;
+    },
+
+    // The user's own views and the ones others shared, with who saved each
+    async listSavedViews(planId, userId) {
+      const result = await pool.query(
+        `SELECT v.*, u.name AS user_name FROM sf_saved_views v JOIN sf_users u ON u.id = v.user_id
+         WHERE v.plan_id = $1 AND (v.user_id = $2 OR v.shared)
+         ORDER BY v.name, v.id`,
+        [planId, userId]
+      );
+      return result.rows;
+    },
+
+    async getSavedView(planId, id) {
+      const result = await pool.query('SELECT * FROM sf_saved_views WHERE plan_id = $1 AND id = $2', [planId, id]);
+      return result.rows[0] || null;
+    },
+
+    async createSavedView(planId, { user_id, name, filters, shared = false }) {
+      const result = await pool.query(
+        `INSERT INTO sf_saved_views (plan_id, user_id, name, filters, shared)
+         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [planId, user_id, name, JSON.stringify(filters), shared]
+      );
+      return result.rows[0];
+    },
+
+    async updateSavedView(planId, id, { name, filters, shared }) {
+      const result = await pool.query(
+        `UPDATE sf_saved_views SET
+          name = COALESCE($1, name),
+          filters = COALESCE($2, filters),
+          shared = COALESCE($3, shared),
+          updated_at = CURRENT_TIMESTAMP
+         WHERE plan_id = $4 AND id = $5 RETURNING *`,
+        [name, filters && JSON.stringify(filters), shared, planId, id]
+      );
+      return result.rows[0] || null;
+    },
+
+    async deleteSavedView(planId, id) {
+      const result = await pool.query('DELETE FROM sf_saved_views WHERE plan_id = $1 AND id = $2', [planId, id]);
+      return result.rowCount > 0;
+    },
+
+    async countUsers() {
+      const result = await pool.query('SELECT COUNT(*)::int AS count FROM sf_users');
+      return result.rows[0].count;
+    },
+
+    async listUsers() {
+      const result = await pool.query(`SELECT ${USER_COLUMNS} FROM sf_users ORDER BY id`);
+      return result.rows;
+    },
+
+    async getUser(id) {
+      const result = await pool.query(`SELECT ${USER_COLUMNS} FROM sf_users WHERE id = $1`, [id]);
+      return result.rows[0] || null;
+    },
+
+    async createUser({ name, email, role, token_hash }) {
+      const result = await pool.query(
+        `INSERT INTO sf_users (name, email, role, token_hash) VALUES ($1, $2, $3, $4) RETURNING ${USER_COLUMNS}`,
+        [name, email, role, token_hash]
+      );
+      return result.rows[0];
+    },
+
+    async updateUser(id, { name, email, role }) {
+      const result = await pool.query(
+        `UPDATE sf_users SET
+          name = COALESCE($1, name),
+          email = COALESCE($2, email),
+          role = COALESCE($3, role),
+          updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4 RETURNING ${USER_COLUMNS}`,
+        [name, email, role, id]
+      );
+      return result.rows[0] || null;
+    },
+
+    async setUserToken(id, token_hash) {
+      const result = await pool.query(
+        `UPDATE sf_users SET token_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING ${USER_COLUMNS}`,
+        [token_hash, id]
+      );
+      return result.rows[0] || null;
+    },
+
+    async deleteUser(id) {
+      const result = await pool.query('DELETE FROM sf_users WHERE id = $1', [id]);
+      return result.rowCount > 0;
+    },
+
+    async findUserByTokenHash(token_hash) {
+      const result = await pool.query(`SELECT ${USER_COLUMNS} FROM sf_users WHERE token_hash = $1`, [token_hash]);
+      return result.rows[0] || null;
+    },
+
+    async setUserFeedToken(id, feed_token_hash) {
+      await pool.query(
+        'UPDATE sf_users SET feed_token_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [feed_token_hash, id]
+      );
+    },
+
+    async findUserByFeedTokenHash(feed_token_hash) {
+      const result = await pool.query(`SELECT ${USER_COLUMNS} FROM sf_users WHERE feed_token_hash = $1`, [feed_token_hash]);
+      return result.rows[0] || null;
+    },
+
+    async createSession({ token_hash, user_id, expires_at }) {
+      await pool.query(
+        'INSERT INTO sf_sessions (token_hash, user_id, expires_at) VALUES ($1, $2, $3)',
+        [token_hash, user_id, expires_at]
+      );
+    },
+
+    async findSessionUser(token_hash) {
+      const result = await pool.query(
+        `SELECT u.id, u.name, u.email, u.role, u.created_at, u.updated_at
+         FROM sf_sessions s JOIN sf_users u ON u.id = s.user_id
+         WHERE s.token_hash = $1 AND s.expires_at > CURRENT_TIMESTAMP`,
+        [token_hash]
+      );
+      return result.rows[0] || null;
+    },
+
+    async deleteSession(token_hash) {
+      await pool.query('DELETE FROM sf_sessions WHERE token_hash = $1', [token_hash]);
+    },
+
+    async deleteUserSessions(user_id) {
+      await pool.query('DELETE FROM sf_sessions WHERE user_id = $1', [user_id]);
+    }
+  };
+
+  return store;
+}
+
+module.exports = { createPgStore };
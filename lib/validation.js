@@ -0,0 +1,109 @@
+const PRIORITIES = ['High', 'Medium', 'Low'];
+const FUNNELS = ['Top', 'Middle', 'Bottom'];
+const STATUSES = ['planned', 'in_progress', 'written', 'published'];
+const MAX_WEEK = 53;
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+function checkText(value, max) {
+  if (typeof value !== 'string') return 'must be a string';
+  if (value.length > max) return `must be at most ${max} characters`;
+  return null;
+}
+
+function checkInteger(value, min, max) {
+  if (!Number.isInteger(value)) return 'must be a whole number';
+  if (value < min || value > max) return `must be between ${min} and ${max}`;
+  return null;
+}
+
+function checkDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value))
+    ? null
+    : 'must be a YYYY-MM-DD date';
+}
+
+function checkOneOf(value, allowed) {
+  return allowed.includes(value) ? null : `must be one of ${allowed.join(', ')}`;
+}
+
+// Per-field rules; null/undefined means "not given" and is checked by `required` instead
+const RULES = {
+  article_id: v => checkText(v, 10) || (/^[A-Za-z0-9_-]+$/.test(v) ? null : 'may only contain letters, digits, - and _'),
+  title: v => checkText(v, 500) || (v.trim() ? null : 'must not be empty'),
+  keyword: v => checkText(v, 255),
+  intent: v => checkText(v, 100),
+  funnel: v => checkOneOf(v, FUNNELS),
+  description: v => checkText(v, 5000),
+  priority: v => checkOneOf(v, PRIORITIES),
+  word_count: v => checkInteger(v, 1, 100000),
+  category: (v, settings) => checkOneOf(v, settings.categories),
+  week: v => checkInteger(v, 1, MAX_WEEK),
+  publish_day: v => checkInteger(v, 1, 7),
+  status: v => checkOneOf(v, STATUSES),
+  notes: v => checkText(v, 20000),
+  published_url: v => checkText(v, 500) || (/^https?:\/\/\S+$/i.test(v) ? null : 'must be an http(s) URL'),
+  published_date: v => checkDate(v),
+  assignee_id: v => Number.isInteger(v) && v > 0 ? null : 'must be a user id'
+};
+
+const REQUIRED = ['article_id', 'title'];
+
+// Columns a PATCH may set to null (anything but these)
+const NOT_NULL = ['article_id', 'title', 'status'];
+
+// Every writable article field
+const ARTICLE_FIELDS = Object.keys(RULES);
+
+// Returns { field: message } for each problem, or null when the article is valid.
+// With `partial`, only the fields present are checked (PATCH).
+function validateArticle(article, settings, { partial = false } = {}) {
+  const errors = {};
+  if (!article || typeof article !== 'object' || Array.isArray(article)) {
+    return { body: 'must be a JSON object' };
+  }
+  if (!partial) {
+    REQUIRED.filter(f => isBlank(article[f])).forEach(f => { errors[f] = 'is required'; });
+  } else {
+    NOT_NULL.filter(f => article[f] === null || article[f] === '').forEach(f => { errors[f] = 'cannot be cleared'; });
+  }
+  Object.entries(RULES).forEach(([field, rule]) => {
+    if (errors[field] || isBlank(article[field])) return;
+    const error = rule(article[field], settings);
+    if (error) errors[field] = error;
+  });
+  return Object.keys(errors).length ? errors : null;
+}
+
+// Status moves PATCH allows, from the status_transitions setting
+function checkTransition(from, to, settings) {
+  if (isBlank(to) || to === (from || 'planned')) return null;
+  const allowed = settings.status_transitions[from || 'planned'] || [];
+  return allowed.includes(to)
+    ? null
+    : `cannot move from ${from || 'planned'} to ${to}${allowed.length ? ` (allowed: ${allowed.join(', ')})` : ''}`;
+}
+
+// Shape check for the status_transitions setting
+function validateTransitions(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return 'must be an object of status -> [statuses]';
+  for (const [from, targets] of Object.entries(value)) {
+    if (!STATUSES.includes(from)) return `unknown status ${from}`;
+    if (!Array.isArray(targets) || targets.some(t => !STATUSES.includes(t))) {
+      return `${from} must map to a list of ${STATUSES.join(', ')}`;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  ARTICLE_FIELDS,
+  PRIORITIES,
+  FUNNELS,
+  STATUSES,
+  validateArticle,
+  checkTransition,
+  validateTransitions
+};
@@ -0,0 +1,41 @@
+// Saved views: named filter bar presets (filters, sort and view mode), private to
+// the user who saved them unless shared with everyone on the plan
+const { parseArticleQuery } = require('./query');
+
+// The filter bar's fields, as used in shareable URLs too
+const VIEW_FILTERS = ['search', 'category', 'priority', 'funnel', 'status', 'assignee', 'sort', 'view'];
+
+// Returns { field: message } or null. Filters are checked the way /api/articles would
+// take them, so a saved view always loads.
+function validateSavedView(view, { partial = false } = {}) {
+  const errors = {};
+  const { name, filters, shared } = view || {};
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 100) errors.name = 'must be 1-100 characters';
+  }
+  if (filters !== undefined || !partial) {
+    if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+      errors.filters = 'must be an object';
+    } else {
+      const unknown = Object.keys(filters).filter(key => !VIEW_FILTERS.includes(key));
+      const invalid = Object.entries(filters).filter(([, value]) => typeof value !== 'string' || value.length > 200);
+      const query = parseArticleQuery(filters);
+      if (unknown.length) {
+        errors.filters = `unknown ${unknown.join(', ')} (expected ${VIEW_FILTERS.join(', ')})`;
+      } else if (invalid.length) {
+        errors.filters = `${invalid.map(([key]) => key).join(', ')} must be text of at most 200 characters`;
+      } else if (query.errors) {
+        errors.filters = Object.entries(query.errors).map(([key, msg]) => `${key} ${msg}`).join('; ');
+      }
+    }
+  }
+  if (shared !== undefined && typeof shared !== 'boolean') errors.shared = 'must be true or false';
+  return Object.keys(errors).length ? errors : null;
+}
+
+// Only the filters that are set, so views compare and serialize the same way
+function compactFilters(filters) {
+  return Object.fromEntries(VIEW_FILTERS.filter(key => filters[key]).map(key => [key, filters[key]]));
+}
+
+module.exports = { VIEW_FILTERS, validateSavedView, compactFilters };
@@ -0,0 +1,201 @@
+// Outgoing webhooks: which events an article write raises, signing, and the
+// delivery queue (retried with backoff, every attempt kept in the delivery log)
+const crypto = require('crypto');
+const { STATUSES } = require('./validation');
+const { diffArticle } = require('./history');
+
+// article.<status> fires when an article moves into that status (article.written,
+// article.published, ...), alongside article.updated
+const WEBHOOK_EVENTS = [
+  'article.created', 'article.updated', 'article.deleted',
+  ...STATUSES.map(status => `article.${status}`)
+];
+
+// Wait before each retry; a delivery fails for good after the last one
+const RETRY_DELAYS_MS = [60, 5 * 60, 30 * 60, 2 * 60 * 60, 12 * 60 * 60].map(s => s * 1000);
+const TIMEOUT_MS = 10000;
+const POLL_MS = 15000;
+// Deliveries taken per pass, and how long a taken one is left alone before another
+// pass (or instance) may try it again
+const BATCH_SIZE = 20;
+const LEASE_MS = 2 * TIMEOUT_MS;
+// Kept from each response, for the delivery log
+const MAX_RESPONSE_BODY = 1000;
+// Finished deliveries stay in the log this long
+const LOG_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const PRUNE_EVERY_MS = 60 * 60 * 1000;
+
+function generateSecret() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+// Returns { field: message } or null
+function validateWebhook(hook, { partial = false } = {}) {
+  const errors = {};
+  const { url, events, secret, active } = hook || {};
+  if (url !== undefined || !partial) {
+    let parsed = null;
+    try {
+      parsed = typeof url === 'string' && url.length <= 500 ? new URL(url) : null;
+    } catch (err) {
+      parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) errors.url = 'must be an http(s) URL of at most 500 characters';
+  }
+  if (events !== undefined || !partial) {
+    if (!Array.isArray(events) || events.length === 0 || !events.every(e => WEBHOOK_EVENTS.includes(e))) {
+      errors.events = `must be a list of events from ${WEBHOOK_EVENTS.join(', ')}`;
+    }
+  }
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16 || secret.length > 200)) {
+    errors.secret = 'must be 16-200 characters';
+  }
+  if (active !== undefined && typeof active !== 'boolean') errors.active = 'must be true or false';
+  return Object.keys(errors).length ? errors : null;
+}
+
+// Events one article write raises; before is null for creates, after for deletes
+function articleEvents(before, after) {
+  if (!before) return ['article.created', `article.${after.status}`];
+  if (!after) return ['article.deleted'];
+  const events = [];
+  if (diffArticle(before, after).length > 0) events.push('article.updated');
+  if (after.status !== before.status) events.push(`article.${after.status}`);
+  return events;
+}
+
+// Receivers recompute this over "<timestamp>.<body>" with the webhook's secret and
+// compare it with X-SpeakFlow-Signature (sha256=<hex>)
+function signPayload(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const given = Buffer.from(String(signature || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// Queues deliveries in the store and works through the due ones: right after
+// something is queued, and every pollMs for retries and anything left over from
+// before a restart
+function createWebhookDispatcher({
+  store,
+  fetch = globalThis.fetch,
+  retryDelaysMs = RETRY_DELAYS_MS,
+  timeoutMs = TIMEOUT_MS,
+  pollMs = POLL_MS
+}) {
+  let timer = null;
+  let running = null;
+  let prunedAt = 0;
+
+  // POSTs one delivery and records the outcome. Returns the updated delivery.
+  async function attempt(delivery, hook, { retry = true } = {}) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempts = delivery.attempts + 1;
+    let outcome;
+    try {
+      const response = await fetch(hook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'SpeakFlow-Webhooks',
+          'X-SpeakFlow-Event': delivery.event,
+          'X-SpeakFlow-Delivery': String(delivery.id),
+          'X-SpeakFlow-Timestamp': String(timestamp),
+          'X-SpeakFlow-Signature': signPayload(hook.secret, timestamp, delivery.payload)
+        },
+        body: delivery.payload,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(timeoutMs)
+      });
+      const body = (await response.text().catch(() => '')).slice(0, MAX_RESPONSE_BODY);
+      outcome = {
+        response_status: response.status,
+        response_body: body || null,
+        error: response.ok ? null : `HTTP ${response.status}`
+      };
+    } catch (err) {
+      outcome = {
+        response_status: null,
+        response_body: null,
+        error: err.name === 'TimeoutError' ? `No response within ${timeoutMs / 1000}s` : err.cause?.message || err.message
+      };
+    }
+    const retryIn = retry ? retryDelaysMs[attempts - 1] : undefined;
+    const delivered = outcome.error === null;
+    return store.updateDelivery(delivery.id, {
+      ...outcome,
+      attempts,
+      status: delivered ? 'delivered' : retryIn === undefined ? 'failed' : 'pending',
+      last_attempt_at: new Date(),
+      next_attempt_at: delivered || retryIn === undefined ? null : new Date(Date.now() + retryIn)
+    });
+  }
+
+  async function deliverDue() {
+    if (Date.now() - prunedAt > PRUNE_EVERY_MS) {
+      prunedAt = Date.now();
+      await store.pruneDeliveries(new Date(prunedAt - LOG_RETENTION_MS));
+    }
+    for (;;) {
+      const due = await store.claimDeliveries({ now: new Date(), leaseUntil: new Date(Date.now() + LEASE_MS), limit: BATCH_SIZE });
+      if (due.length === 0) return;
+      // Claimed deliveries come with their webhook's url and secret
+      for (const delivery of due) await attempt(delivery, delivery);
+    }
+  }
+
+  // One pass at a time; a kick during a pass is picked up by its next claim
+  function run() {
+    if (!running) {
+      running = deliverDue()
+        .catch(err => console.error('Webhook delivery failed:', err.message))
+        .finally(() => { running = null; });
+    }
+    return running;
+  }
+
+  // Queues `event` for every active webhook of the plan that subscribes to it
+  async function dispatch(plan, event, data) {
+    const hooks = (await store.listWebhooks(plan.id)).filter(h => h.active && h.events.includes(event));
+    if (hooks.length === 0) return [];
+    const payload = JSON.stringify({ event, created_at: new Date().toISOString(), plan: { id: plan.id, slug: plan.slug }, data });
+    const deliveries = await store.addDeliveries(hooks.map(h => ({ webhook_id: h.id, event, payload })));
+    run();
+    return deliveries;
+  }
+
+  // Sends right away, skipping the queue and retries (test pings)
+  async function deliverNow(hook, event, data, plan) {
+    const payload = JSON.stringify({ event, created_at: new Date().toISOString(), plan: { id: plan.id, slug: plan.slug }, data });
+    const [delivery] = await store.addDeliveries([{ webhook_id: hook.id, event, payload, next_attempt_at: null }]);
+    return attempt(delivery, hook, { retry: false });
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(run, pollMs);
+    timer.unref();
+    run();
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+    return running;
+  }
+
+  return { dispatch, deliverNow, deliverDue: run, start, stop };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  generateSecret,
+  validateWebhook,
+  articleEvents,
+  signPayload,
+  verifySignature,
+  createWebhookDispatcher
+};
@@ -0,0 +1,64 @@
+// Writer workload: words assigned to each writer per plan week, against the weekly
+// capacity on the plan's writer roster (the writer_capacity setting)
+const { currentWeek } = require('./scheduler');
+
+function buildWorkload(articles, users, settings, { now = new Date() } = {}) {
+  const capacity = settings.writer_capacity || {};
+  const usersById = new Map(users.map(u => [u.id, u]));
+  const writers = new Map();
+  const writerFor = id => {
+    if (!writers.has(id)) {
+      const user = usersById.get(id);
+      writers.set(id, {
+        id,
+        name: user ? user.name : `User ${id}`,
+        on_roster: String(id) in capacity,
+        capacity: capacity[id] ?? null,
+        articles: 0,
+        words: 0,
+        weeks: new Map()
+      });
+    }
+    return writers.get(id);
+  };
+  // Everyone on the roster shows up, with or without assignments; ids of deleted users don't
+  Object.keys(capacity).map(Number).filter(id => usersById.has(id)).forEach(writerFor);
+
+  const unassigned = { articles: 0, words: 0 };
+  articles.forEach(a => {
+    const words = a.word_count || 0;
+    if (!a.assignee_id) {
+      unassigned.articles += 1;
+      unassigned.words += words;
+      return;
+    }
+    const writer = writerFor(a.assignee_id);
+    writer.articles += 1;
+    writer.words += words;
+    // Unscheduled articles count towards the total but no week
+    if (a.week == null) return;
+    if (!writer.weeks.has(a.week)) writer.weeks.set(a.week, { week: a.week, words: 0, articles: [] });
+    const week = writer.weeks.get(a.week);
+    week.words += words;
+    week.articles.push(a.article_id);
+  });
+
+  const rows = [...writers.values()]
+    .map(writer => {
+      const weeks = [...writer.weeks.values()]
+        .sort((a, b) => a.week - b.week)
+        .map(week => ({ ...week, overloaded: writer.capacity != null && week.words > writer.capacity }));
+      return { ...writer, weeks, overloaded_weeks: weeks.filter(w => w.overloaded).map(w => w.week) };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return {
+    current_week: currentWeek(settings, now),
+    plan_weeks: settings.plan_weeks,
+    writers: rows,
+    unassigned,
+    overloaded: rows.reduce((sum, w) => sum + w.overloaded_weeks.length, 0)
+  };
+}
+
+module.exports = { buildWorkload };
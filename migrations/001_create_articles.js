@@ -0,0 +1,23 @@
+// Baseline schema - IF NOT EXISTS so deployments created before migrations adopt it as-is
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS sf_articles (
+      id SERIAL PRIMARY KEY,
+      article_id VARCHAR(10) UNIQUE NOT NULL,
+      title TEXT NOT NULL,
+      keyword VARCHAR(255),
+      intent VARCHAR(100),
+      funnel VARCHAR(50),
+      description TEXT,
+      priority VARCHAR(20),
+      word_count INTEGER,
+      category VARCHAR(100),
+      week INTEGER,
+      status VARCHAR(50) DEFAULT 'planned',
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `,
+  down: `DROP TABLE IF EXISTS sf_articles`
+};
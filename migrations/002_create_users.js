@@ -0,0 +1,25 @@
+// Per-user accounts with magic-link tokens, and the browser sessions they open
+module.exports = {
+  up: `
+    CREATE TABLE sf_users (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      email VARCHAR(255) UNIQUE,
+      role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+      token_hash VARCHAR(64) UNIQUE NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE sf_sessions (
+      token_hash VARCHAR(64) PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES sf_users(id) ON DELETE CASCADE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      expires_at TIMESTAMP NOT NULL
+    );
+    CREATE INDEX sf_sessions_user_id ON sf_sessions (user_id);
+  `,
+  down: `
+    DROP TABLE IF EXISTS sf_sessions;
+    DROP TABLE IF EXISTS sf_users;
+  `
+};
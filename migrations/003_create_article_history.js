@@ -0,0 +1,18 @@
+// Field-level change log; no FK so history outlives deleted articles
+module.exports = {
+  up: `
+    CREATE TABLE sf_article_history (
+      id SERIAL PRIMARY KEY,
+      article_id INTEGER NOT NULL,
+      action VARCHAR(20) NOT NULL,
+      field VARCHAR(50),
+      old_value TEXT,
+      new_value TEXT,
+      user_id INTEGER,
+      user_name VARCHAR(100),
+      changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX sf_article_history_article_id ON sf_article_history (article_id, changed_at);
+  `,
+  down: `DROP TABLE IF EXISTS sf_article_history`
+};
@@ -0,0 +1,17 @@
+// Plan-wide settings (start date etc.), per-article publish weekday and calendar feed tokens
+module.exports = {
+  up: `
+    CREATE TABLE sf_settings (
+      key VARCHAR(100) PRIMARY KEY,
+      value TEXT NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    ALTER TABLE sf_articles ADD COLUMN publish_day SMALLINT;
+    ALTER TABLE sf_users ADD COLUMN feed_token_hash VARCHAR(64) UNIQUE;
+  `,
+  down: `
+    ALTER TABLE sf_users DROP COLUMN IF EXISTS feed_token_hash;
+    ALTER TABLE sf_articles DROP COLUMN IF EXISTS publish_day;
+    DROP TABLE IF EXISTS sf_settings;
+  `
+};
@@ -0,0 +1,17 @@
+// Weighted full-text search over title, keyword, description and notes. This is an
+// expression index, so queries must repeat the expression exactly (SEARCH_VECTOR in lib/store/pg.js).
+module.exports = {
+  up: `
+    CREATE INDEX sf_articles_search ON sf_articles USING GIN ((
+      setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+      setweight(to_tsvector('english', coalesce(keyword, '')), 'A') ||
+      setweight(to_tsvector('english', coalesce(description, '')), 'B') ||
+      setweight(to_tsvector('english', coalesce(notes, '')), 'C')
+    ));
+    CREATE INDEX sf_articles_week ON sf_articles (week, article_id);
+  `,
+  down: `
+    DROP INDEX IF EXISTS sf_articles_week;
+    DROP INDEX IF EXISTS sf_articles_search;
+  `
+};
@@ -0,0 +1,17 @@
+// Internal links between articles; removed along with either end
+module.exports = {
+  up: `
+    CREATE TABLE sf_article_links (
+      id SERIAL PRIMARY KEY,
+      from_id INTEGER NOT NULL REFERENCES sf_articles(id) ON DELETE CASCADE,
+      to_id INTEGER NOT NULL REFERENCES sf_articles(id) ON DELETE CASCADE,
+      anchor_text VARCHAR(255),
+      created_by INTEGER REFERENCES sf_users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (from_id, to_id),
+      CHECK (from_id <> to_id)
+    );
+    CREATE INDEX sf_article_links_to_id ON sf_article_links (to_id);
+  `,
+  down: `DROP TABLE IF EXISTS sf_article_links`
+};
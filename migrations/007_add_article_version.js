@@ -0,0 +1,6 @@
+// Row version for optimistic concurrency: every write bumps it, and writes may
+// require the version the client last saw (If-Match)
+module.exports = {
+  up: `ALTER TABLE sf_articles ADD COLUMN version INTEGER NOT NULL DEFAULT 1`,
+  down: `ALTER TABLE sf_articles DROP COLUMN IF EXISTS version`
+};
@@ -0,0 +1,25 @@
+// Live URL and publish date per article, and the latest Search Console-style
+// performance import (one row per query/page; article_id is null when unmatched)
+module.exports = {
+  up: `
+    ALTER TABLE sf_articles ADD COLUMN published_url VARCHAR(500);
+    ALTER TABLE sf_articles ADD COLUMN published_date DATE;
+    CREATE TABLE sf_article_performance (
+      id SERIAL PRIMARY KEY,
+      article_id INTEGER REFERENCES sf_articles(id) ON DELETE CASCADE,
+      query TEXT,
+      page TEXT,
+      clicks INTEGER NOT NULL DEFAULT 0,
+      impressions INTEGER NOT NULL DEFAULT 0,
+      position REAL,
+      matched_by VARCHAR(10),
+      imported_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX sf_article_performance_article_id ON sf_article_performance (article_id);
+  `,
+  down: `
+    DROP TABLE IF EXISTS sf_article_performance;
+    ALTER TABLE sf_articles DROP COLUMN IF EXISTS published_date;
+    ALTER TABLE sf_articles DROP COLUMN IF EXISTS published_url;
+  `
+};
@@ -0,0 +1,49 @@
+// Plans (workspaces). Existing articles, settings and performance data move into one
+// default plan, and article_id only has to be unique within a plan.
+const { defaultPlan } = require('../lib/plans');
+
+module.exports = {
+  up: async client => {
+    await client.query(`
+      CREATE TABLE sf_plans (
+        id SERIAL PRIMARY KEY,
+        slug VARCHAR(50) UNIQUE NOT NULL,
+        name VARCHAR(100) NOT NULL,
+        year INTEGER NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    const start = await client.query(`SELECT value FROM sf_settings WHERE key = 'plan_start_date'`);
+    const { slug, name, year } = start.rows[0] ? defaultPlan(JSON.parse(start.rows[0].value)) : defaultPlan();
+    const plan = await client.query(
+      'INSERT INTO sf_plans (slug, name, year) VALUES ($1, $2, $3) RETURNING id',
+      [slug, name, year]
+    );
+    const planId = plan.rows[0].id;
+    for (const table of ['sf_articles', 'sf_settings', 'sf_article_performance']) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN plan_id INTEGER REFERENCES sf_plans(id) ON DELETE CASCADE`);
+      await client.query(`UPDATE ${table} SET plan_id = $1`, [planId]);
+      await client.query(`ALTER TABLE ${table} ALTER COLUMN plan_id SET NOT NULL`);
+    }
+    await client.query(`
+      ALTER TABLE sf_articles DROP CONSTRAINT IF EXISTS sf_articles_article_id_key;
+      ALTER TABLE sf_articles ADD CONSTRAINT sf_articles_plan_article_id_key UNIQUE (plan_id, article_id);
+      ALTER TABLE sf_settings DROP CONSTRAINT sf_settings_pkey;
+      ALTER TABLE sf_settings ADD PRIMARY KEY (plan_id, key);
+      CREATE INDEX sf_article_performance_plan_id ON sf_article_performance (plan_id);
+    `);
+  },
+  // Keeps only the oldest plan, since article_id can't be unique across several
+  down: `
+    DELETE FROM sf_plans WHERE id <> (SELECT MIN(id) FROM sf_plans);
+    ALTER TABLE sf_settings DROP CONSTRAINT sf_settings_pkey;
+    ALTER TABLE sf_settings ADD PRIMARY KEY (key);
+    ALTER TABLE sf_articles DROP CONSTRAINT sf_articles_plan_article_id_key;
+    ALTER TABLE sf_articles ADD CONSTRAINT sf_articles_article_id_key UNIQUE (article_id);
+    ALTER TABLE sf_article_performance DROP COLUMN plan_id;
+    ALTER TABLE sf_settings DROP COLUMN plan_id;
+    ALTER TABLE sf_articles DROP COLUMN plan_id;
+    DROP TABLE sf_plans;
+  `
+};
@@ -0,0 +1,38 @@
+// Outgoing webhooks per plan, and their deliveries: the retry queue (pending, due at
+// next_attempt_at) and the delivery log (delivered/failed, with the last response).
+// Delivery times are compared with the app's clock, hence with time zone.
+module.exports = {
+  up: `
+    CREATE TABLE sf_webhooks (
+      id SERIAL PRIMARY KEY,
+      plan_id INTEGER NOT NULL REFERENCES sf_plans(id) ON DELETE CASCADE,
+      url VARCHAR(500) NOT NULL,
+      secret VARCHAR(200) NOT NULL,
+      events JSONB NOT NULL,
+      active BOOLEAN NOT NULL DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX sf_webhooks_plan_id ON sf_webhooks (plan_id);
+    CREATE TABLE sf_webhook_deliveries (
+      id SERIAL PRIMARY KEY,
+      webhook_id INTEGER NOT NULL REFERENCES sf_webhooks(id) ON DELETE CASCADE,
+      event VARCHAR(50) NOT NULL,
+      payload TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at TIMESTAMPTZ,
+      last_attempt_at TIMESTAMPTZ,
+      response_status INTEGER,
+      response_body TEXT,
+      error TEXT,
+      created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE INDEX sf_webhook_deliveries_webhook_id ON sf_webhook_deliveries (webhook_id, id);
+    CREATE INDEX sf_webhook_deliveries_due ON sf_webhook_deliveries (next_attempt_at) WHERE status = 'pending';
+  `,
+  down: `
+    DROP TABLE IF EXISTS sf_webhook_deliveries;
+    DROP TABLE IF EXISTS sf_webhooks;
+  `
+};
@@ -0,0 +1,20 @@
+// Named filter bar presets per plan; each belongs to the user who saved it and is
+// visible to everyone on the plan when shared
+module.exports = {
+  up: `
+    CREATE TABLE sf_saved_views (
+      id SERIAL PRIMARY KEY,
+      plan_id INTEGER NOT NULL REFERENCES sf_plans(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES sf_users(id) ON DELETE CASCADE,
+      name VARCHAR(100) NOT NULL,
+      filters JSONB NOT NULL,
+      shared BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (plan_id, user_id, name)
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS sf_saved_views;
+  `
+};
@@ -0,0 +1,11 @@
+// Who is writing each article. Unassigned when the writer's account is deleted.
+module.exports = {
+  up: `
+    ALTER TABLE sf_articles ADD COLUMN assignee_id INTEGER REFERENCES sf_users(id) ON DELETE SET NULL;
+    CREATE INDEX sf_articles_assignee_id ON sf_articles (plan_id, assignee_id);
+  `,
+  down: `
+    DROP INDEX IF EXISTS sf_articles_assignee_id;
+    ALTER TABLE sf_articles DROP COLUMN IF EXISTS assignee_id;
+  `
+};
@@ -0,0 +1,17 @@
+// One Markdown draft per article, versioned like the article row so concurrent saves
+// can't silently overwrite each other. word_count is the draft's own count.
+module.exports = {
+  up: `
+    CREATE TABLE sf_article_drafts (
+      article_id INTEGER PRIMARY KEY REFERENCES sf_articles(id) ON DELETE CASCADE,
+      body TEXT NOT NULL,
+      word_count INTEGER NOT NULL DEFAULT 0,
+      version INTEGER NOT NULL DEFAULT 1,
+      updated_by INTEGER REFERENCES sf_users(id) ON DELETE SET NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS sf_article_drafts;
+  `
+};
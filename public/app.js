@@ -1,6 +1,21 @@
 // State
 let articles = [];
 let filteredArticles = [];
+let currentUser = null;
+let plans = [];
+let currentPlan = null;
+let planSettings = null;
+// Writer roster and per-week totals from /workload; also names assignees
+let workload = null;
+let pendingImport = null;
+let nextCursor = null;
+let filterRequest = 0;
+let editingArticle = null;
+
+const PAGE_SIZE = 100;
+
+// Ordered from least to most privileged, as on the server
+const roles = ['viewer', 'writer', 'editor', 'admin'];
 
 const statusColors = {
   "planned": { bg: "bg-gray-100", text: "text-gray-800" },
@@ -9,132 +24,1548 @@ const statusColors = {
   "published": { bg: "bg-green-100", text: "text-green-800" }
 };
 
-// Initialize
-document.addEventListener('DOMContentLoaded', async () => {
-  await loadArticles();
-  populateCategoryFilter();
-  updateStats();
-  render();
-  
-  // Event listeners
-  document.getElementById('search').addEventListener('input', applyFilters);
-  document.getElementById('category-filter').addEventListener('change', applyFilters);
-  document.getElementById('priority-filter').addEventListener('change', applyFilters);
-  document.getElementById('funnel-filter').addEventListener('change', applyFilters);
-  document.getElementById('status-filter').addEventListener('change', applyFilters);
-  document.getElementById('view-mode').addEventListener('change', render);
-});
+// Initialize
+document.addEventListener('DOMContentLoaded', async () => {
+  await loadCurrentUser();
+  await loadPlans();
+  await loadSettings();
+  await loadWorkload();
+  await loadArticles();
+  populateCategoryFilter();
+  // Filters and view from the URL, for reloads and shared links
+  setViewState(Object.fromEntries(new URLSearchParams(location.search)));
+  loadSavedViews();
+  updateStats();
+  await applyFilters();
+  
+  // Event listeners
+  document.getElementById('search').addEventListener('input', debounce(applyFilters, 250));
+  document.getElementById('category-filter').addEventListener('change', applyFilters);
+  document.getElementById('priority-filter').addEventListener('change', applyFilters);
+  document.getElementById('funnel-filter').addEventListener('change', applyFilters);
+  document.getElementById('status-filter').addEventListener('change', applyFilters);
+  document.getElementById('assignee-filter').addEventListener('change', applyFilters);
+  document.getElementById('sort-order').addEventListener('change', applyFilters);
+  document.getElementById('view-mode').addEventListener('change', () => {
+    updateUrl();
+    renderSavedViews();
+    render();
+  });
+  document.getElementById('import-file').addEventListener('change', previewImport);
+  connectLiveUpdates();
+  window.addEventListener('online', retrySync);
+  window.addEventListener('offline', () => setOffline(true));
+  setInterval(retrySync, SYNC_RETRY_MS);
+  if (queuedWrites().length && navigator.onLine !== false) syncQueue();
+  renderConnectionState();
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.register('/sw.js').catch(err => console.warn('Offline app shell unavailable:', err));
+  }
+  if (can('editor')) {
+    document.getElementById('new-article-button').classList.remove('hidden');
+    document.getElementById('import-button').classList.remove('hidden');
+    document.getElementById('schedule-button').classList.remove('hidden');
+  }
+  if (can('admin')) {
+    document.getElementById('clone-plan-button').classList.remove('hidden');
+  }
+});
+
+async function loadCurrentUser() {
+  try {
+    const response = await fetch('/api/me', { credentials: 'same-origin' });
+    if (!response.ok) return;
+    currentUser = await response.json();
+    writeCache('me', currentUser);
+  } catch (err) {
+    console.error('Failed to load user:', err);
+    currentUser = readCache('me');
+  }
+  if (currentUser) {
+    document.getElementById('user-name').textContent = currentUser.name;
+    document.getElementById('user-role').textContent = currentUser.role;
+  }
+}
+
+// Plans, and which one this browser last looked at
+async function loadPlans() {
+  try {
+    const response = await fetch('/api/plans', { credentials: 'same-origin' });
+    if (!response.ok) return;
+    plans = await response.json();
+    writeCache('plans', plans);
+  } catch (err) {
+    console.error('Failed to load plans:', err);
+    plans = readCache('plans') || [];
+  }
+  // A shared link's plan wins over the one last looked at
+  const requested = new URLSearchParams(location.search).get('plan') || localStorage.getItem('plan');
+  currentPlan = plans.find(p => p.slug === requested) || plans[0] || null;
+  renderPlanSwitcher();
+}
+
+// API path within the current plan (the default plan until plans have loaded)
+function planUrl(path) {
+  return currentPlan ? `/api/plans/${encodeURIComponent(currentPlan.slug)}${path}` : `/api${path}`;
+}
+
+function renderPlanSwitcher() {
+  document.getElementById('plan-select').innerHTML = plans.map(plan =>
+    `<option value="${escapeHtml(plan.slug)}" ${plan.id === currentPlan?.id ? 'selected' : ''}>${escapeHtml(plan.name)}</option>`
+  ).join('');
+  if (currentPlan) document.title = `${currentPlan.name} - SpeakFlow Content Planner`;
+}
+
+function renderPlanSummary(total) {
+  if (!currentPlan || !planSettings) return;
+  document.getElementById('plan-summary').textContent =
+    `${total} articles for ${currentPlan.year} • ${planSettings.posts_per_week} posts/week • ${planSettings.plan_weeks} weeks`;
+}
+
+async function switchPlan(slug) {
+  currentPlan = plans.find(p => p.slug === slug) || plans[0];
+  localStorage.setItem('plan', currentPlan.slug);
+  renderPlanSwitcher();
+  closeEditor();
+  await loadSettings();
+  await loadWorkload();
+  await loadArticles();
+  populateCategoryFilter();
+  loadSavedViews();
+  updateStats();
+  await applyFilters();
+  connectLiveUpdates();
+}
+
+// Copies the current plan into next year and switches to the copy
+async function clonePlan() {
+  if (!confirm(`Copy ${currentPlan.name} into ${currentPlan.year + 1}? Every article and internal link is copied, back to planned.`)) return;
+  try {
+    const response = await fetch(`/api/plans/${encodeURIComponent(currentPlan.slug)}/clone`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'same-origin',
+      body: '{}'
+    });
+    const body = await response.json();
+    if (!response.ok) {
+      alert(describeError(body));
+      return;
+    }
+    await loadPlans();
+    await switchPlan(body.slug);
+  } catch (err) {
+    console.error('Failed to clone plan:', err);
+  }
+}
+
+async function loadSettings() {
+  try {
+    const response = await fetch(planUrl('/settings'), { credentials: 'same-origin' });
+    if (response.ok) {
+      planSettings = await response.json();
+      writeCache(`settings:${currentPlan?.id}`, planSettings);
+    }
+  } catch (err) {
+    console.error('Failed to load settings:', err);
+    planSettings = readCache(`settings:${currentPlan?.id}`);
+  }
+}
+
+async function loadWorkload() {
+  try {
+    const response = await fetch(planUrl('/workload'), { credentials: 'same-origin' });
+    if (response.ok) {
+      workload = await response.json();
+      writeCache(`workload:${currentPlan?.id}`, workload);
+    }
+  } catch (err) {
+    console.error('Failed to load workload:', err);
+    workload = readCache(`workload:${currentPlan?.id}`);
+  }
+  populateAssigneeFilter();
+}
+
+function rosterWriters() {
+  return (workload?.writers || []).filter(w => w.on_roster);
+}
+
+function writerName(id) {
+  return workload?.writers.find(w => w.id === id)?.name || `User ${id}`;
+}
+
+// Week N of the plan as a UTC date range, or null before settings load
+function weekRange(week) {
+  if (!planSettings) return null;
+  const start = new Date(Date.parse(planSettings.plan_start_date) + (week - 1) * 7 * 86400000);
+  const end = new Date(start.getTime() + 6 * 86400000);
+  return { start, end };
+}
+
+function formatDay(date, options = { month: 'short', day: 'numeric' }) {
+  return new Date(date).toLocaleDateString(undefined, { ...options, timeZone: 'UTC' });
+}
+
+async function subscribeToCalendar() {
+  try {
+    const plan = currentPlan ? `?plan=${encodeURIComponent(currentPlan.slug)}` : '';
+    const response = await fetch(`/api/me/calendar-feed${plan}`, { method: 'POST', credentials: 'same-origin' });
+    const { url } = await response.json();
+    // With "Assigned to me" picked, the feed only has your articles too
+    const mine = currentFilters().assignee === 'me';
+    window.prompt(
+      `Add this URL to your calendar app${mine ? ' (only articles assigned to you)' : ''}. Generating a new one disables the old link.`,
+      mine ? `${url}&assignee=me` : url
+    );
+  } catch (err) {
+    console.error('Failed to create calendar feed:', err);
+  }
+}
+
+function can(role) {
+  return !!currentUser && roles.indexOf(currentUser.role) >= roles.indexOf(role);
+}
+
+async function loadArticles() {
+  try {
+    const response = await fetch(planUrl('/articles'), { credentials: 'same-origin' });
+    const data = await response.json();
+    if (!response.ok) throw new Error(describeError(data));
+    if (data.length === 0 && currentPlan?.id === plans[0]?.id) {
+      // Seed the original plan from static data if empty; new plans start out empty
+      await seedArticles();
+      const response2 = await fetch(planUrl('/articles'), { credentials: 'same-origin' });
+      articles = await response2.json();
+    } else {
+      articles = data;
+    }
+    writeCache(`articles:${currentPlan?.id}`, { saved_at: new Date().toISOString(), articles });
+    staleSince = null;
+    setOffline(false);
+    articles = withQueuedWrites(articles);
+    filteredArticles = [...articles];
+  } catch (err) {
+    console.error('Failed to load articles:', err);
+    // fetch only rejects when the server can't be reached at all
+    if (err instanceof TypeError) setOffline(true);
+    const cached = readCache(`articles:${currentPlan?.id}`);
+    if (cached) {
+      articles = withQueuedWrites(cached.articles);
+      staleSince = cached.saved_at;
+      filteredArticles = [...articles];
+    } else if (typeof staticArticles !== 'undefined') {
+      // Nothing saved on this device yet: fall back to the bundled plan
+      articles = staticArticles;
+      staleSince = null;
+      filteredArticles = [...articles];
+    }
+    renderConnectionState();
+  }
+}
+
+async function seedArticles() {
+  if (typeof staticArticles === 'undefined' || !can('editor')) return;
+  try {
+    await fetch(planUrl('/articles/bulk'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'same-origin',
+      body: JSON.stringify({ articles: staticArticles })
+    });
+  } catch (err) {
+    console.error('Failed to seed articles:', err);
+  }
+}
+
+// Offline support. The latest article set (and the user, plans and settings) is kept in
+// localStorage so the planner still works without the server. Article writes that can't
+// reach it wait in a queue and are replayed in order once it's back; the ones the server
+// then turns down (conflicts, validation) are listed for the user to resolve.
+const SYNC_RETRY_MS = 30000;
+let offline = false;
+// When the articles on screen were saved, if they came from the local copy
+let staleSince = null;
+// Replayed writes the server turned down: { write, error, current }
+let syncIssues = [];
+let needsLogin = false;
+let syncing = null;
+
+function readCache(key) {
+  try {
+    return JSON.parse(localStorage.getItem(`sf:${key}`));
+  } catch (err) {
+    return null;
+  }
+}
+
+function writeCache(key, value) {
+  try {
+    localStorage.setItem(`sf:${key}`, JSON.stringify(value));
+  } catch (err) {
+    // Full or disabled storage only costs the offline copy
+    console.warn(`Could not save ${key} for offline use:`, err);
+  }
+}
+
+// Logging out leaves nothing behind for the next person on this browser
+function clearOfflineData(event) {
+  const waiting = queuedWrites().length;
+  if (waiting && !confirm(`${waiting} change${waiting === 1 ? '' : 's'} haven't been synced yet and will be lost. Log out anyway?`)) {
+    event.preventDefault();
+    return;
+  }
+  Object.keys(localStorage).filter(key => key.startsWith('sf:')).forEach(key => localStorage.removeItem(key));
+}
+
+// Queued writes, oldest first: { key, plan_id, id, method, path, body, version, article_id, queued_at }.
+// Creates get a negative id until the server assigns one.
+function queuedWrites() {
+  return readCache('write-queue') || [];
+}
+
+function saveQueue(queue) {
+  writeCache('write-queue', queue);
+}
+
+function queueWrite(write) {
+  const queue = queuedWrites();
+  // Later edits to an article fold into its queued write, so the replay still
+  // expects the version they all started from
+  const earlier = queue.find(w => w.plan_id === write.plan_id && w.id === write.id);
+  if (earlier) {
+    Object.assign(earlier.body, write.body);
+  } else {
+    queue.push({ ...write, key: `${Date.now()}-${Math.random().toString(36).slice(2)}`, queued_at: new Date().toISOString() });
+  }
+  saveQueue(queue);
+}
+
+// Articles as the server last sent them, with this plan's queued writes on top
+function withQueuedWrites(list) {
+  const result = list.map(a => ({ ...a }));
+  queuedWrites().filter(w => w.plan_id === currentPlan?.id).forEach(write => {
+    const article = result.find(a => a.id === write.id);
+    if (article) {
+      Object.assign(article, write.body, { pending_sync: true });
+    } else if (write.method === 'POST') {
+      result.push({ status: 'planned', ...write.body, id: write.id, pending_sync: true });
+    }
+  });
+  return result;
+}
+
+function writeRequest(write) {
+  return {
+    method: write.method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...versionHeader(write.version),
+      // A replayed create must not overwrite an article someone else added meanwhile
+      ...(write.method === 'POST' && { 'If-None-Match': '*' })
+    },
+    credentials: 'same-origin',
+    body: JSON.stringify(write.body)
+  };
+}
+
+// Sends an article PATCH or POST ({ method, path, body, version, id, article_id }), or
+// queues it when the server can't be reached. Returns the response, or null if queued.
+async function sendArticleWrite(write) {
+  // Articles created offline only exist in the queue until it's replayed
+  const queuedCreate = write.id < 0;
+  if (!queuedCreate && navigator.onLine !== false) {
+    try {
+      const response = await fetch(planUrl(write.path), writeRequest(write));
+      setOffline(false);
+      return response;
+    } catch (err) {
+      console.warn('Server unreachable, queueing the change:', err);
+    }
+  }
+  queueWrite({ ...write, plan_id: currentPlan?.id, id: write.id ?? -Date.now() });
+  if (!queuedCreate) setOffline(true);
+  else if (!offline) syncQueue();
+  // Show the change right away
+  articles = withQueuedWrites(readCache(`articles:${currentPlan?.id}`)?.articles || articles);
+  filteredArticles = filterLocally();
+  nextCursor = null;
+  render();
+  updateStats();
+  renderConnectionState();
+  return null;
+}
+
+function setOffline(value) {
+  if (offline === value) return;
+  offline = value;
+  renderConnectionState();
+  if (!offline && queuedWrites().length) syncQueue();
+}
+
+// Replays queued writes in order. Stops at the first that still can't get through;
+// the ones the server turns down are set aside in syncIssues.
+function syncQueue() {
+  if (!syncing) {
+    syncing = replayQueue().finally(() => { syncing = null; });
+  }
+  return syncing;
+}
+
+async function replayQueue() {
+  let replayed = 0;
+  for (const write of queuedWrites()) {
+    let response;
+    try {
+      response = await fetch(`/api/plans/${write.plan_id}${write.path}`, writeRequest(write));
+    } catch (err) {
+      setOffline(true);
+      break;
+    }
+    // Signed out in the meantime: keep everything until they log back in
+    needsLogin = response.status === 401;
+    if (needsLogin) break;
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      syncIssues.push({ write, error: describeError(body), current: body.current || null });
+    }
+    saveQueue(queuedWrites().filter(w => w.key !== write.key));
+    replayed += 1;
+  }
+  if (replayed > 0) {
+    offline = false;
+    await loadArticles();
+    applyFilters();
+    updateStats();
+  }
+  renderConnectionState();
+}
+
+// Every so often while offline, showing saved data or with changes waiting
+function retrySync() {
+  if (queuedWrites().length) return syncQueue();
+  if (offline || staleSince) refreshAll();
+}
+
+// Their change went in first; send ours again on top of it
+async function reapplyQueuedWrite(index) {
+  const { write, current } = syncIssues[index];
+  syncIssues.splice(index, 1);
+  renderConnectionState();
+  await updateArticle(current.id, write.body, current.version);
+}
+
+function dismissSyncIssue(index) {
+  syncIssues.splice(index, 1);
+  renderConnectionState();
+}
+
+function formatSavedAt(iso) {
+  return new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// Offline/stale banner, changes waiting to sync, and replayed changes that failed
+function renderConnectionState() {
+  const banner = document.getElementById('connection-banner');
+  const waiting = queuedWrites().length;
+  const lines = [];
+  if (offline) {
+    lines.push(`<strong>You're offline.</strong> ${staleSince
+      ? `Showing articles saved ${escapeHtml(formatSavedAt(staleSince))}.`
+      : "Showing the articles loaded before the connection dropped."}`);
+  } else if (staleSince) {
+    lines.push(`<strong>Couldn't load the latest articles.</strong> Showing the copy saved ${escapeHtml(formatSavedAt(staleSince))}.`);
+  }
+  if (waiting) {
+    lines.push(`${waiting} change${waiting === 1 ? '' : 's'} waiting to sync${needsLogin
+      ? ' - your session has expired; log in again with your link and they will be sent.'
+      : offline
+        ? '; they will be sent when the connection returns.'
+        : '. <button onclick="syncQueue()" class="underline">Sync now</button>'}`);
+  }
+  const issues = syncIssues.map(({ write, error, current }, index) => `
+    <li class="flex flex-wrap items-center gap-2">
+      <span><strong>${escapeHtml(write.article_id || '')}</strong> (${escapeHtml(Object.keys(write.body).join(', '))}): ${escapeHtml(error)}</span>
+      ${write.method === 'PATCH' && current ? `<button onclick="reapplyQueuedWrite(${index})" class="underline">Apply mine on top of theirs</button>` : ''}
+      <button onclick="dismissSyncIssue(${index})" class="underline">Discard mine</button>
+    </li>
+  `).join('');
+  if (issues) {
+    lines.push(`<p class="font-medium">Some offline changes couldn't be applied:</p><ul class="mt-1 space-y-1">${issues}</ul>`);
+  }
+  banner.innerHTML = lines.map(line => (line.startsWith('<p') ? line : `<p>${line}</p>`)).join('');
+  banner.classList.toggle('hidden', lines.length === 0);
+  banner.classList.toggle('bg-red-50', issues.length > 0);
+  banner.classList.toggle('text-red-800', issues.length > 0);
+  banner.classList.toggle('bg-amber-50', !issues.length);
+  banner.classList.toggle('text-amber-900', !issues.length);
+}
+
+function populateCategoryFilter() {
+  const categories = [...new Set(articles.map(a => a.category))].sort();
+  const select = document.getElementById('category-filter');
+  const selected = select.value;
+  // Keep "All Categories"; the rest depends on the plan
+  select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+  categories.forEach(cat => {
+    const option = document.createElement('option');
+    option.value = cat;
+    option.textContent = cat;
+    select.appendChild(option);
+  });
+  select.value = categories.includes(selected) ? selected : '';
+}
+
+// "Anyone" and "Assigned to me" stay; the rest is the plan's roster
+function populateAssigneeFilter() {
+  const select = document.getElementById('assignee-filter');
+  const selected = select.value;
+  select.querySelectorAll('option:not([value=""]):not([value="me"])').forEach(option => option.remove());
+  rosterWriters().forEach(writer => {
+    const option = document.createElement('option');
+    option.value = String(writer.id);
+    option.textContent = writer.name;
+    select.appendChild(option);
+  });
+  select.value = selected;
+  if (select.selectedIndex === -1) select.value = '';
+}
+
+async function updateStats() {
+  try {
+    const response = await fetch(planUrl('/stats'), { credentials: 'same-origin' });
+    const stats = await response.json();
+    document.getElementById('total-count').textContent = stats.total;
+    renderPlanSummary(stats.total);
+    document.getElementById('published-count').textContent = stats.published ?? 0;
+    document.getElementById('high-count').textContent = stats.high_priority;
+    document.getElementById('medium-count').textContent = stats.medium_priority;
+    document.getElementById('low-count').textContent = stats.low_priority;
+  } catch (err) {
+    const high = articles.filter(a => a.priority === 'High').length;
+    const medium = articles.filter(a => a.priority === 'Medium').length;
+    const low = articles.filter(a => a.priority === 'Low').length;
+    document.getElementById('total-count').textContent = articles.length;
+    document.getElementById('published-count').textContent = articles.filter(a => a.status === 'published').length;
+    document.getElementById('high-count').textContent = high;
+    document.getElementById('medium-count').textContent = medium;
+    document.getElementById('low-count').textContent = low;
+  }
+}
+
+function debounce(fn, wait) {
+  let timer;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), wait);
+  };
+}
+
+function filterParams() {
+  const params = new URLSearchParams();
+  Object.entries(currentFilters()).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  return params;
+}
+
+// Filtering, search and sorting happen on the server, one page at a time
+async function fetchArticlesPage(cursor) {
+  const params = filterParams();
+  params.set('limit', PAGE_SIZE);
+  if (cursor) params.set('cursor', cursor);
+  const response = await fetch(planUrl(`/articles?${params}`), { credentials: 'same-origin' });
+  if (!response.ok) throw new Error(describeError(await response.json()));
+  return { page: await response.json(), cursor: response.headers.get('X-Next-Cursor') };
+}
+
+async function applyFilters() {
+  const request = ++filterRequest;
+  updateUrl();
+  renderSavedViews();
+  try {
+    const { page, cursor } = await fetchArticlesPage();
+    // A newer filter change has already been sent
+    if (request !== filterRequest) return;
+    filteredArticles = page;
+    nextCursor = cursor;
+  } catch (err) {
+    console.error('Failed to filter articles:', err);
+    filteredArticles = filterLocally();
+    nextCursor = null;
+  }
+  render();
+}
+
+async function loadMore() {
+  if (!nextCursor) return;
+  try {
+    const { page, cursor } = await fetchArticlesPage(nextCursor);
+    filteredArticles = [...filteredArticles, ...page];
+    nextCursor = cursor;
+    render();
+  } catch (err) {
+    console.error('Failed to load more articles:', err);
+  }
+}
+
+// Offline fallback: substring matching over whatever is loaded
+function filterLocally() {
+  const search = document.getElementById('search').value.toLowerCase();
+  
+  return articles.filter(article => {
+    const matchesSearch = !search || 
+      article.title.toLowerCase().includes(search) ||
+      (article.keyword && article.keyword.toLowerCase().includes(search)) ||
+      (article.description && article.description.toLowerCase().includes(search));
+    
+    return matchesSearch && matchesSelectFilters(article);
+  });
+}
+
+// The dropdown filters only; search ranking is left to the server
+function matchesSelectFilters(article) {
+  const { category, priority, funnel, status, assignee } = currentFilters();
+  return (!category || article.category === category) &&
+    (!priority || article.priority === priority) &&
+    (!funnel || article.funnel === funnel) &&
+    (!status || (article.status || 'planned') === status) &&
+    (!assignee || article.assignee_id === (assignee === 'me' ? currentUser?.id : Number(assignee)));
+}
+
+// Server-Sent Events for the current plan; EventSource reconnects by itself
+let liveUpdates = null;
+
+function connectLiveUpdates() {
+  if (typeof EventSource === 'undefined') return;
+  if (liveUpdates) liveUpdates.close();
+  const source = liveUpdates = new EventSource(planUrl('/events'));
+  // (Re)connected: a good moment to catch up after being offline
+  source.addEventListener('open', () => {
+    if (offline || staleSince || queuedWrites().length) retrySync();
+  });
+  source.addEventListener('article', event => applyArticleEvent(JSON.parse(event.data)));
+  source.addEventListener('reload', () => refreshAll());
+  source.addEventListener('settings', event => {
+    planSettings = JSON.parse(event.data);
+    // The roster may have changed
+    loadWorkload();
+    // Scheduled dates depend on the settings
+    refreshAll();
+  });
+  source.addEventListener('plans', event => {
+    plans = JSON.parse(event.data);
+    const current = plans.find(p => p.id === currentPlan?.id);
+    if (!current) {
+      // Deleted from under us
+      switchPlan(plans[0].slug);
+      return;
+    }
+    currentPlan = current;
+    localStorage.setItem('plan', current.slug);
+    renderPlanSwitcher();
+  });
+}
+
+const refreshAll = debounce(async () => {
+  await loadArticles();
+  applyFilters();
+  updateStats();
+}, 300);
+
+const refreshStats = debounce(updateStats, 300);
+
+// Someone (maybe us) created, changed or deleted an article
+function applyArticleEvent({ action, article }) {
+  const index = articles.findIndex(a => a.id === article.id);
+  if (action === 'delete') {
+    if (index >= 0) articles.splice(index, 1);
+  } else if (index >= 0) {
+    articles[index] = article;
+  } else {
+    articles.push(article);
+  }
+
+  // Patch the visible list in place when we can; a new match needs the server to place it
+  const shown = filteredArticles.findIndex(a => a.id === article.id);
+  if (action !== 'delete' && matchesSelectFilters(article)) {
+    if (shown >= 0) {
+      filteredArticles[shown] = article;
+    } else {
+      applyFilters();
+    }
+  } else if (shown >= 0) {
+    filteredArticles.splice(shown, 1);
+  }
+  // Don't yank the card out from under a drag
+  if (!draggedArticle) render();
+  refreshStats();
+}
+
+// Validation failures come back as { error, details: { field: message } }
+function describeError(body) {
+  const details = body.details && !Array.isArray(body.details)
+    ? Object.entries(body.details).map(([field, msg]) => `${field} ${msg}`).join('\n')
+    : '';
+  return details || body.error || 'Request failed';
+}
+
+// If-Match header for the version of an article we last saw
+function versionHeader(version) {
+  return version != null ? { 'If-Match': `"${version}"` } : {};
+}
+
+async function updateArticle(id, changes, version = articles.find(a => a.id === id)?.version) {
+  try {
+    const response = await sendArticleWrite({
+      method: 'PATCH',
+      path: `/articles/${id}`,
+      body: changes,
+      version,
+      id,
+      article_id: articles.find(a => a.id === id)?.article_id
+    });
+    // Queued until we're back online
+    if (!response) return;
+    if (response.status === 409) {
+      // Quick edits (status, week) are small enough to just offer reapplying
+      const { current } = await response.json();
+      const fields = Object.keys(changes).join(', ');
+      if (current && confirm(`${current.article_id} was changed by someone else since you loaded it. Apply your change to ${fields} on top of their version?`)) {
+        return updateArticle(id, changes, current.version);
+      }
+    } else if (!response.ok) {
+      alert(describeError(await response.json()));
+    }
+    await loadArticles();
+    applyFilters();
+    updateStats();
+  } catch (err) {
+    console.error('Failed to update article:', err);
+  }
+}
+
+function updateArticleStatus(id, status) {
+  return updateArticle(id, { status });
+}
+
+// Drag and drop between board columns and calendar weeks
+let draggedArticle = null;
+
+function startDrag(event, id) {
+  draggedArticle = filteredArticles.find(a => a.id === id) || null;
+  event.dataTransfer.effectAllowed = 'move';
+  event.dataTransfer.setData('text/plain', String(id));
+  if (document.getElementById('view-mode').value === 'board') markDropTargets();
+}
+
+function endDrag() {
+  draggedArticle = null;
+  document.querySelectorAll('[data-drop-status]').forEach(column => {
+    column.classList.remove('opacity-40', 'ring-2', 'ring-indigo-300');
+  });
+}
+
+// Highlights the columns the dragged card may move to and dims the rest
+function markDropTargets() {
+  const current = draggedArticle?.status || 'planned';
+  const allowed = planSettings?.status_transitions?.[current];
+  document.querySelectorAll('[data-drop-status]').forEach(column => {
+    const status = column.dataset.dropStatus;
+    if (status === current) return;
+    if (!allowed || allowed.includes(status)) {
+      column.classList.add('ring-2', 'ring-indigo-300');
+    } else {
+      column.classList.add('opacity-40');
+    }
+  });
+}
+
+function allowDrop(event) {
+  if (!draggedArticle) return;
+  event.preventDefault();
+  event.dataTransfer.dropEffect = 'move';
+}
+
+// Moves the card locally right away, then saves; updateArticle reloads either way
+function dropArticle(event, changes) {
+  event.preventDefault();
+  const article = draggedArticle;
+  endDrag();
+  if (!article || Object.entries(changes).every(([field, value]) => (article[field] ?? null) === value)) return;
+  Object.assign(article, changes);
+  render();
+  updateArticle(article.id, changes);
+}
+
+function dropOnStatus(event, status) {
+  dropArticle(event, { status });
+}
+
+function dropOnWeek(event, week) {
+  dropArticle(event, { week });
+}
+
+// Drag attributes for a card, if the user may edit it
+function dragAttributes(article) {
+  return can('writer')
+    ? `draggable="true" ondragstart="startDrag(event, ${article.id})" ondragend="endDrag()"`
+    : '';
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function describeChange(entry) {
+  const who = escapeHtml(entry.user_name || 'Someone');
+  switch (entry.action) {
+    case 'create':
+      return `${who} created the article`;
+    case 'delete':
+      return `${who} deleted the article`;
+    default: {
+      const from = entry.old_value === null ? '<em>empty</em>' : `<span class="font-mono">${escapeHtml(entry.old_value)}</span>`;
+      const to = entry.new_value === null ? '<em>empty</em>' : `<span class="font-mono">${escapeHtml(entry.new_value)}</span>`;
+      const via = entry.action === 'import' ? ' (bulk import)' : '';
+      return `${who} changed <strong>${escapeHtml(entry.field)}</strong> from ${from} to ${to}${via}`;
+    }
+  }
+}
+
+async function showHistory(id) {
+  const article = articles.find(a => a.id === id);
+  document.getElementById('history-title').textContent = article ? `History · ${article.title}` : 'History';
+  const list = document.getElementById('history-list');
+  list.innerHTML = '<p class="text-gray-500 text-sm">Loading…</p>';
+  document.getElementById('history-panel').classList.remove('hidden');
+  try {
+    const response = await fetch(planUrl(`/articles/${id}/history`), { credentials: 'same-origin' });
+    const entries = await response.json();
+    list.innerHTML = entries.map(entry => `
+      <div class="border-l-2 border-indigo-200 pl-3 pb-4">
+        <div class="text-xs text-gray-400">${new Date(entry.changed_at).toLocaleString()}</div>
+        <div class="text-sm text-gray-700">${describeChange(entry)}</div>
+      </div>
+    `).join('') || '<p class="text-gray-500 text-sm">No changes recorded yet</p>';
+  } catch (err) {
+    console.error('Failed to load history:', err);
+    list.innerHTML = '<p class="text-red-600 text-sm">Could not load history</p>';
+  }
+}
+
+function closeHistory() {
+  document.getElementById('history-panel').classList.add('hidden');
+}
+
+const editorFields = ['article_id', 'title', 'keyword', 'intent', 'funnel', 'description', 'priority', 'word_count', 'category', 'week', 'publish_day', 'status', 'notes', 'published_url', 'published_date', 'assignee_id'];
+const numberFields = ['week', 'word_count', 'publish_day', 'assignee_id'];
+
+// What a writer may change; the rest needs an editor (WORKFLOW_FIELDS on the server)
+const workflowFields = ['status', 'notes', 'week', 'publish_day', 'published_url', 'published_date'];
+
+// Opens the editor on an existing article, or empty for a new one
+function openEditor(id) {
+  editingArticle = id ? articles.find(a => a.id === id) || filteredArticles.find(a => a.id === id) : null;
+  const form = document.getElementById('editor-form');
+  form.reset();
+
+  const categories = [...(planSettings?.categories || [])];
+  if (editingArticle?.category && !categories.includes(editingArticle.category)) categories.push(editingArticle.category);
+  form.elements.category.innerHTML = '<option value="">—</option>' +
+    categories.map(c => `<option value="${escapeHtml(c)}">${escapeHtml(c)}</option>`).join('');
+  form.elements.status.innerHTML = statusOptions(editingArticle || { status: 'planned' });
+  const writers = rosterWriters().map(w => [w.id, w.name]);
+  if (editingArticle?.assignee_id && !writers.some(([id]) => id === editingArticle.assignee_id)) {
+    writers.push([editingArticle.assignee_id, writerName(editingArticle.assignee_id)]);
+  }
+  form.elements.assignee_id.innerHTML = '<option value="">Unassigned</option>' +
+    writers.map(([id, name]) => `<option value="${id}">${escapeHtml(name)}</option>`).join('');
+
+  editorFields.forEach(field => {
+    const value = editingArticle ? editingArticle[field] : null;
+    form.elements[field].value = value ?? (field === 'status' ? 'planned' : '');
+    form.elements[field].disabled = editingArticle
+      ? !can(workflowFields.includes(field) ? 'writer' : 'editor')
+      : !can('editor');
+  });
+
+  document.getElementById('editor-title').textContent = editingArticle ? `Article ${editingArticle.article_id}` : 'New article';
+  document.getElementById('editor-errors').classList.add('hidden');
+  document.getElementById('editor-save').classList.toggle('hidden', !can(editingArticle ? 'writer' : 'editor'));
+  document.getElementById('editor-delete').classList.toggle('hidden', !editingArticle || !can('editor'));
+  const brief = document.getElementById('editor-brief');
+  brief.classList.toggle('hidden', !editingArticle);
+  if (editingArticle) brief.href = planUrl(`/articles/${editingArticle.id}/brief`);
+  document.getElementById('editor-draft').classList.toggle('hidden', !editingArticle);
+  document.getElementById('editor-links').innerHTML = '';
+  document.getElementById('editor-panel').classList.remove('hidden');
+  if (editingArticle) loadEditorLinks(editingArticle.id);
+}
+
+// Markdown draft for one article. `draft` is what the server last had; the textarea
+// may be ahead of it until saved.
+let draftArticle = null;
+let draft = null;
+
+// Same counting and keyword checks as lib/drafts.js, so the numbers match after saving
+function draftWordCount(markdown) {
+  const text = markdown
+    .replace(/^(```|~~~)[^\n]*\n[\s\S]*?^\1[^\n]*$/gm, ' ')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, ' ');
+  return (text.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || []).length;
+}
+
+function draftHeadings(markdown) {
+  let fence = null;
+  return markdown.split(/\r?\n/).reduce((found, line) => {
+    const marker = line.match(/^(```|~~~)/);
+    if (marker) fence = fence ? (fence === marker[1] ? null : fence) : marker[1];
+    const heading = !fence && !marker && line.match(/^#{1,6}\s+(.*?)\s*#*\s*$/);
+    if (heading) found.push(heading[1]);
+    return found;
+  }, []);
+}
+
+function hasKeyword(text, keyword) {
+  const normalize = value => ` ${String(value || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()} `;
+  return normalize(keyword).trim() !== '' && normalize(text).includes(normalize(keyword));
+}
+
+function renderDraftStats() {
+  const markdown = document.getElementById('draft-body').value;
+  const words = draftWordCount(markdown);
+  const headings = draftHeadings(markdown);
+  const { word_count: target, keyword, title } = draftArticle;
+  const chip = (ok, text) => `<span class="px-2 py-1 rounded ${ok === null ? 'bg-gray-100 text-gray-700' : ok ? 'bg-green-100 text-green-800' : 'bg-amber-100 text-amber-800'}">${text}</span>`;
+  const inHeadings = keyword ? headings.filter(h => hasKeyword(h, keyword)).length : 0;
+  document.getElementById('draft-stats').innerHTML = [
+    chip(target ? words >= target : null, `${words.toLocaleString()}${target ? ` / ${target.toLocaleString()}` : ''} words`),
+    keyword ? chip(hasKeyword(title, keyword), `Keyword ${hasKeyword(title, keyword) ? 'in' : 'not in'} title`) : chip(null, 'No target keyword'),
+    keyword ? chip(inHeadings > 0, `Keyword in ${inHeadings} of ${headings.length} heading${headings.length === 1 ? '' : 's'}`) : '',
+    markdown !== (draft?.body ?? '') ? chip(false, 'Unsaved changes') : ''
+  ].join('');
+}
+
+function showDraftSaved() {
+  document.getElementById('draft-saved').textContent = draft?.updated_at
+    ? `Saved ${new Date(draft.updated_at).toLocaleString()}${draft.updated_by ? ` by ${draft.updated_by}` : ''}`
+    : 'No draft saved yet';
+}
+
+async function openDraft(id) {
+  const article = articles.find(a => a.id === id) || filteredArticles.find(a => a.id === id);
+  if (!article) return;
+  try {
+    const response = await fetch(planUrl(`/articles/${id}/draft`), { credentials: 'same-origin' });
+    const body = await response.json();
+    if (!response.ok) {
+      alert(describeError(body));
+      return;
+    }
+    draftArticle = article;
+    draft = body;
+  } catch (err) {
+    console.error('Failed to load draft:', err);
+    alert('Could not load the draft');
+    return;
+  }
+  const textarea = document.getElementById('draft-body');
+  textarea.value = draft.body;
+  textarea.readOnly = !can('writer');
+  document.getElementById('draft-title').textContent = `Draft: ${draftArticle.article_id} ${draftArticle.title}`;
+  document.getElementById('draft-errors').classList.add('hidden');
+  document.getElementById('draft-save').classList.toggle('hidden', !can('writer'));
+  document.getElementById('draft-from-brief').classList.toggle('hidden', !can('writer'));
+  showDraftSaved();
+  renderDraftStats();
+  document.getElementById('draft-panel').classList.remove('hidden');
+  textarea.focus();
+}
+
+function closeDraft() {
+  if (draft && document.getElementById('draft-body').value !== draft.body &&
+      !confirm('Close without saving your changes to the draft?')) return;
+  draftArticle = null;
+  draft = null;
+  document.getElementById('draft-panel').classList.add('hidden');
+}
+
+function showDraftErrors(html) {
+  const box = document.getElementById('draft-errors');
+  box.innerHTML = html;
+  box.classList.remove('hidden');
+}
+
+// Saves on top of `version` (what we loaded, unless overwriting someone else's save)
+async function saveDraft(version = draft.version) {
+  const markdown = document.getElementById('draft-body').value;
+  try {
+    const response = await fetch(planUrl(`/articles/${draftArticle.id}/draft`), {
+      method: 'PUT',
+      headers: { 'Content-Type': 'text/markdown', ...versionHeader(version) },
+      credentials: 'same-origin',
+      body: markdown
+    });
+    const body = await response.json();
+    if (response.status === 409) {
+      draft.theirs = body.current;
+      return showDraftErrors(`
+        <p class="mb-1">${escapeHtml(body.current.updated_by || 'Someone else')} saved this draft while you were editing it.</p>
+        <p>
+          <button type="button" onclick="saveDraft(draft.theirs.version)" class="underline">Save mine over theirs</button> or
+          <button type="button" onclick="loadTheirDraft()" class="underline">discard mine and load theirs</button>.
+        </p>
+      `);
+    }
+    if (!response.ok) return showDraftErrors(escapeHtml(describeError(body)));
+    draft = body;
+    document.getElementById('draft-errors').classList.add('hidden');
+    showDraftSaved();
+    renderDraftStats();
+  } catch (err) {
+    console.error('Failed to save draft:', err);
+    showDraftErrors('Could not save the draft. Keep this window open and try again once you are back online.');
+  }
+}
+
+function loadTheirDraft() {
+  draft = draft.theirs;
+  document.getElementById('draft-body').value = draft.body;
+  document.getElementById('draft-errors').classList.add('hidden');
+  showDraftSaved();
+  renderDraftStats();
+}
+
+// Fills an empty draft with the content brief's outline to write into
+async function startDraftFromBrief() {
+  const textarea = document.getElementById('draft-body');
+  if (textarea.value.trim() && !confirm('Replace what is in the draft with the brief?')) return;
+  try {
+    const response = await fetch(planUrl(`/articles/${draftArticle.id}/brief`), { credentials: 'same-origin' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    textarea.value = await response.text();
+    renderDraftStats();
+  } catch (err) {
+    console.error('Failed to load brief:', err);
+    showDraftErrors('Could not load the brief');
+  }
+}
+
+function linkedArticleLabel(article) {
+  return article
+    ? `<span class="font-mono text-xs text-gray-400">${escapeHtml(article.article_id)}</span> ${escapeHtml(article.title)}`
+    : '<span class="text-gray-400">Deleted article</span>';
+}
+
+// Links section of the editor: both directions, and suggestions to add
+async function loadEditorLinks(id) {
+  const section = document.getElementById('editor-links');
+  try {
+    const response = await fetch(planUrl(`/articles/${id}/links`), { credentials: 'same-origin' });
+    if (!response.ok || editingArticle?.id !== id) return;
+    const { outbound, inbound, suggestions } = await response.json();
+    const remove = link => can('writer')
+      ? `<button type="button" onclick="removeLink(${link.id}, ${id})" class="text-gray-400 hover:text-red-600" title="Remove link">✕</button>`
+      : '';
+    section.innerHTML = `
+      <h3 class="font-semibold text-gray-800 mb-2">Links to (${outbound.length})</h3>
+      <ul class="mb-4 space-y-1">
+        ${outbound.map(link => `
+          <li class="flex justify-between gap-2">
+            <span>${linkedArticleLabel(link.article)}${link.anchor_text ? ` <span class="text-xs text-gray-500">“${escapeHtml(link.anchor_text)}”</span>` : ''}</span>
+            ${remove(link)}
+          </li>
+        `).join('') || '<li class="text-gray-400">No outbound links</li>'}
+      </ul>
+      <h3 class="font-semibold text-gray-800 mb-2">Linked from (${inbound.length})</h3>
+      <ul class="mb-4 space-y-1">
+        ${inbound.map(link => `
+          <li class="flex justify-between gap-2">
+            <span>${linkedArticleLabel(link.article)}</span>
+            ${remove(link)}
+          </li>
+        `).join('') || '<li class="text-gray-400">No inbound links</li>'}
+      </ul>
+      ${suggestions.length ? `
+        <h3 class="font-semibold text-gray-800 mb-2">Suggested links</h3>
+        <ul class="space-y-1">
+          ${suggestions.map(s => `
+            <li class="flex justify-between gap-2">
+              <span>${linkedArticleLabel(s)}${s.hub ? ' <span class="text-xs px-1 rounded bg-indigo-100 text-indigo-800">hub</span>' : ''}</span>
+              ${can('writer') ? `<button type="button" onclick="addLink(${id}, ${s.id}, ${escapeHtml(JSON.stringify(s.keyword || null))})" class="text-indigo-600 hover:underline whitespace-nowrap">+ Link</button>` : ''}
+            </li>
+          `).join('')}
+        </ul>
+      ` : ''}
+    `;
+  } catch (err) {
+    console.error('Failed to load links:', err);
+  }
+}
+
+async function addLink(fromId, toId, anchorText) {
+  try {
+    const response = await fetch(planUrl('/links'), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'same-origin',
+      body: JSON.stringify({ from_id: fromId, to_id: toId, anchor_text: anchorText })
+    });
+    if (!response.ok) alert(describeError(await response.json()));
+    refreshLinks(fromId);
+  } catch (err) {
+    console.error('Failed to add link:', err);
+  }
+}
+
+async function removeLink(linkId, articleId) {
+  try {
+    const response = await fetch(planUrl(`/links/${linkId}`), { method: 'DELETE', credentials: 'same-origin' });
+    if (!response.ok) alert(describeError(await response.json()));
+    refreshLinks(articleId);
+  } catch (err) {
+    console.error('Failed to remove link:', err);
+  }
+}
+
+// Redraws whichever link views are open
+function refreshLinks(articleId) {
+  if (editingArticle?.id === articleId) loadEditorLinks(articleId);
+  if (document.getElementById('view-mode').value === 'links') render();
+}
+
+function closeEditor() {
+  editingArticle = null;
+  document.getElementById('editor-panel').classList.add('hidden');
+}
+
+function showEditorErrors(message) {
+  const box = document.getElementById('editor-errors');
+  box.textContent = message;
+  box.classList.add('whitespace-pre-line');
+  box.classList.remove('hidden');
+}
+
+// Someone saved the article after we opened it. Their changes to fields we didn't
+// touch go into the form; where we both changed a field the form keeps ours, and the
+// next save applies it on top of their version.
+function mergeConflict(current, changes) {
+  if (!current) return showEditorErrors('Someone else deleted this article while you were editing it.');
+  const form = document.getElementById('editor-form');
+  const base = editingArticle;
+  const theirs = [];
+  const clashes = [];
+  editorFields.forEach(field => {
+    const value = current[field] ?? null;
+    if ((base[field] ?? null) === value) return;
+    theirs.push(field);
+    if (!(field in changes)) {
+      form.elements[field].value = value ?? '';
+    } else if (changes[field] !== value) {
+      clashes.push(field);
+    }
+  });
+
+  editingArticle = current;
+  const index = articles.findIndex(a => a.id === current.id);
+  if (index >= 0) articles[index] = current;
+  form.elements.status.innerHTML = statusOptions(current);
+  form.elements.status.value = 'status' in changes ? changes.status : current.status;
+
+  const box = document.getElementById('editor-errors');
+  box.innerHTML = `
+    <p class="font-medium mb-1">Someone else saved this article while you were editing${theirs.length ? ` (${escapeHtml(theirs.join(', '))})` : ''}.</p>
+    ${clashes.length ? `
+      <p class="mb-1">You both changed ${escapeHtml(clashes.join(', '))}. The form keeps yours; theirs was:</p>
+      <ul class="mb-2 list-disc ml-5">
+        ${clashes.map(field => `<li><strong>${field}</strong>: ${escapeHtml(current[field] ?? '(empty)')}</li>`).join('')}
+      </ul>
+    ` : '<p class="mb-2">Their changes are now in the form alongside yours.</p>'}
+    <p>Save again to apply your changes on top, or
+      <button type="button" onclick="openEditor(${current.id})" class="underline">discard yours and load their version</button>.</p>
+  `;
+  box.classList.remove('whitespace-pre-line', 'hidden');
+}
+
+// Form values with blanks as null and numbers as numbers
+function editorValues() {
+  const form = document.getElementById('editor-form');
+  const values = {};
+  editorFields.forEach(field => {
+    const raw = form.elements[field].value.trim();
+    values[field] = raw === '' ? null : numberFields.includes(field) ? Number(raw) : raw;
+  });
+  return values;
+}
+
+async function saveArticle(event) {
+  event.preventDefault();
+  const values = editorValues();
+  let request;
+  if (editingArticle) {
+    // Only send what changed, so writers don't trip over fields they can't edit
+    const changes = {};
+    Object.entries(values).forEach(([field, value]) => {
+      if ((editingArticle[field] ?? null) !== value) changes[field] = value;
+    });
+    if (Object.keys(changes).length === 0) return closeEditor();
+    request = {
+      method: 'PATCH',
+      path: `/articles/${editingArticle.id}`,
+      body: changes,
+      version: editingArticle.version,
+      id: editingArticle.id,
+      article_id: editingArticle.article_id
+    };
+  } else {
+    // POST upserts by article_id, which would quietly overwrite another article
+    if (articles.some(a => a.article_id === values.article_id)) {
+      return showEditorErrors(`Article ${values.article_id} already exists`);
+    }
+    request = { method: 'POST', path: '/articles', body: values, article_id: values.article_id };
+  }
+
+  try {
+    const response = await sendArticleWrite(request);
+    // Queued until we're back online
+    if (!response) return closeEditor();
+    const result = await response.json();
+    if (response.status === 409) return mergeConflict(result.current, request.body);
+    if (!response.ok) return showEditorErrors(describeError(result));
+    if (result.warnings?.length) {
+      alert(`Saved, but:\n${result.warnings.map(w => `• ${w.message}`).join('\n')}`);
+    }
+    closeEditor();
+    await loadArticles();
+    applyFilters();
+    updateStats();
+  } catch (err) {
+    console.error('Failed to save article:', err);
+    showEditorErrors('Could not save the article');
+  }
+}
+
+async function deleteArticle() {
+  if (!editingArticle) return;
+  if (!confirm(`Delete ${editingArticle.article_id} "${editingArticle.title}"? This can't be undone.`)) return;
+  try {
+    const response = await fetch(planUrl(`/articles/${editingArticle.id}`), {
+      method: 'DELETE',
+      headers: versionHeader(editingArticle.version),
+      credentials: 'same-origin'
+    });
+    if (response.status === 409) {
+      const { current } = await response.json();
+      return mergeConflict(current, {});
+    }
+    if (!response.ok) return showEditorErrors(describeError(await response.json()));
+    closeEditor();
+    await loadArticles();
+    applyFilters();
+    updateStats();
+  } catch (err) {
+    console.error('Failed to delete article:', err);
+    showEditorErrors('Could not delete the article');
+  }
+}
+
+function currentFilters() {
+  return {
+    search: document.getElementById('search').value,
+    category: document.getElementById('category-filter').value,
+    priority: document.getElementById('priority-filter').value,
+    funnel: document.getElementById('funnel-filter').value,
+    status: document.getElementById('status-filter').value,
+    assignee: document.getElementById('assignee-filter').value,
+    sort: document.getElementById('sort-order').value
+  };
+}
+
+// Filters plus the view mode: what the URL and saved views hold. Blank ones are left out.
+function viewState() {
+  const state = { ...currentFilters(), view: document.getElementById('view-mode').value };
+  if (state.view === 'list') delete state.view;
+  return Object.fromEntries(Object.entries(state).filter(([, value]) => value));
+}
+
+function setViewState(state) {
+  document.getElementById('search').value = state.search || '';
+  document.getElementById('category-filter').value = state.category || '';
+  document.getElementById('priority-filter').value = state.priority || '';
+  document.getElementById('funnel-filter').value = state.funnel || '';
+  document.getElementById('status-filter').value = state.status || '';
+  document.getElementById('assignee-filter').value = state.assignee || '';
+  document.getElementById('sort-order').value = state.sort || '';
+  document.getElementById('view-mode').value = state.view || 'list';
+  // Values the dropdowns don't offer (e.g. a category this plan doesn't have) fall back to "all"
+  ['category-filter', 'priority-filter', 'funnel-filter', 'status-filter', 'assignee-filter', 'sort-order'].forEach(id => {
+    const select = document.getElementById(id);
+    if (select.selectedIndex === -1) select.value = '';
+  });
+  if (document.getElementById('view-mode').selectedIndex === -1) document.getElementById('view-mode').value = 'list';
+}
+
+// Keeps the address bar in step with the filter bar, so the URL can be reloaded or shared
+function updateUrl() {
+  const params = new URLSearchParams(viewState());
+  if (currentPlan && plans.length > 1) params.set('plan', currentPlan.slug);
+  const query = params.toString();
+  history.replaceState(null, '', `${location.pathname}${query ? `?${query}` : ''}`);
+}
+
+async function copyViewLink() {
+  updateUrl();
+  try {
+    await navigator.clipboard.writeText(location.href);
+    alert('Link copied. It opens this plan with the same filters and view.');
+  } catch (err) {
+    window.prompt('Copy this link:', location.href);
+  }
+}
+
+// Saved views: the user's own presets plus the ones others shared on this plan
+let savedViews = [];
 
-async function loadArticles() {
+async function loadSavedViews() {
   try {
-    const response = await fetch('/api/articles', { credentials: 'same-origin' });
-    const data = await response.json();
-    if (data.length === 0) {
-      // Seed from static data if empty
-      await seedArticles();
-      const response2 = await fetch('/api/articles', { credentials: 'same-origin' });
-      articles = await response2.json();
-    } else {
-      articles = data;
-    }
-    filteredArticles = [...articles];
+    const response = await fetch(planUrl('/views'), { credentials: 'same-origin' });
+    if (!response.ok) return;
+    savedViews = await response.json();
+    writeCache(`views:${currentPlan?.id}`, savedViews);
   } catch (err) {
-    console.error('Failed to load articles:', err);
-    // Fallback to static data
-    if (typeof staticArticles !== 'undefined') {
-      articles = staticArticles;
-      filteredArticles = [...articles];
-    }
+    console.error('Failed to load saved views:', err);
+    savedViews = readCache(`views:${currentPlan?.id}`) || [];
   }
+  renderSavedViews();
 }
 
-async function seedArticles() {
-  if (typeof staticArticles === 'undefined') return;
+function sameViewState(a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every(key => (a[key] || '') === (b[key] || ''));
+}
+
+function renderSavedViews() {
+  const current = viewState();
+  document.getElementById('saved-views').innerHTML = savedViews.map(view => {
+    const active = sameViewState(view.filters, current);
+    const mine = view.user_id === currentUser?.id;
+    return `
+      <span class="inline-flex items-center rounded-full border ${active ? 'bg-indigo-600 border-indigo-600 text-white' : 'border-gray-300 text-gray-700'}">
+        <button onclick="openSavedView(${view.id})" class="px-3 py-1" title="${mine ? (view.shared ? 'Shared with everyone on this plan' : 'Only you can see this view') : `Shared by ${escapeHtml(view.user_name || 'someone')}`}">
+          ${escapeHtml(view.name)}${mine ? (view.shared ? ' 👥' : '') : ` <span class="${active ? 'text-indigo-200' : 'text-gray-400'}">· ${escapeHtml(view.user_name || '')}</span>`}
+        </button>
+        ${mine || can('admin') ? `<button onclick="deleteSavedView(${view.id})" class="pr-2 ${active ? 'text-indigo-200' : 'text-gray-400'} hover:text-red-600" title="Delete view">×</button>` : ''}
+      </span>
+    `;
+  }).join('');
+}
+
+function openSavedView(id) {
+  const view = savedViews.find(v => v.id === id);
+  if (!view) return;
+  setViewState(view.filters);
+  applyFilters();
+}
+
+async function saveCurrentView() {
+  const name = prompt('Name this view (it saves the current filters, sort and view):');
+  if (!name || !name.trim()) return;
+  const shared = confirm('Share it with everyone on this plan? Cancel keeps it to yourself.');
   try {
-    await fetch('/api/articles/bulk', {
+    const response = await fetch(planUrl('/views'), {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       credentials: 'same-origin',
-      body: JSON.stringify({ articles: staticArticles })
+      body: JSON.stringify({ name: name.trim(), filters: viewState(), shared })
     });
+    const body = await response.json();
+    if (!response.ok) return alert(describeError(body));
+    await loadSavedViews();
   } catch (err) {
-    console.error('Failed to seed articles:', err);
+    console.error('Failed to save view:', err);
+    alert('Could not save the view');
   }
 }
 
-function populateCategoryFilter() {
-  const categories = [...new Set(articles.map(a => a.category))].sort();
-  const select = document.getElementById('category-filter');
-  categories.forEach(cat => {
-    const option = document.createElement('option');
-    option.value = cat;
-    option.textContent = cat;
-    select.appendChild(option);
+async function deleteSavedView(id) {
+  const view = savedViews.find(v => v.id === id);
+  if (!view || !confirm(`Delete the view "${view.name}"${view.shared ? ' for everyone' : ''}?`)) return;
+  try {
+    const response = await fetch(planUrl(`/views/${id}`), { method: 'DELETE', credentials: 'same-origin' });
+    if (!response.ok) return alert(describeError(await response.json()));
+    await loadSavedViews();
+  } catch (err) {
+    console.error('Failed to delete view:', err);
+  }
+}
+
+function exportDrafts() {
+  window.location.href = planUrl('/drafts/export');
+}
+
+function exportArticles(format) {
+  const params = filterParams();
+  params.set('format', format);
+  window.location.href = planUrl(`/articles/export?${params}`);
+}
+
+async function postImport(csv, dryRun) {
+  const response = await fetch(planUrl(`/articles/import${dryRun ? '?dry_run=1' : ''}`), {
+    method: 'POST',
+    headers: { 'Content-Type': 'text/csv' },
+    credentials: 'same-origin',
+    body: csv
   });
+  return response.json();
 }
 
-async function updateStats() {
+async function previewImport(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+  pendingImport = await file.text();
   try {
-    const response = await fetch('/api/stats', { credentials: 'same-origin' });
-    const stats = await response.json();
-    document.getElementById('total-count').textContent = stats.total;
-    document.getElementById('high-count').textContent = stats.high_priority;
-    document.getElementById('medium-count').textContent = stats.medium_priority;
-    document.getElementById('low-count').textContent = stats.low_priority;
+    showImportReport(await postImport(pendingImport, true));
   } catch (err) {
-    const high = articles.filter(a => a.priority === 'High').length;
-    const medium = articles.filter(a => a.priority === 'Medium').length;
-    const low = articles.filter(a => a.priority === 'Low').length;
-    document.getElementById('total-count').textContent = articles.length;
-    document.getElementById('high-count').textContent = high;
-    document.getElementById('medium-count').textContent = medium;
-    document.getElementById('low-count').textContent = low;
+    console.error('Failed to preview import:', err);
   }
 }
 
-function applyFilters() {
-  const search = document.getElementById('search').value.toLowerCase();
-  const category = document.getElementById('category-filter').value;
-  const priority = document.getElementById('priority-filter').value;
-  const funnel = document.getElementById('funnel-filter').value;
-  const status = document.getElementById('status-filter').value;
-  
-  filteredArticles = articles.filter(article => {
-    const matchesSearch = !search || 
-      article.title.toLowerCase().includes(search) ||
-      (article.keyword && article.keyword.toLowerCase().includes(search)) ||
-      (article.description && article.description.toLowerCase().includes(search));
-    const matchesCategory = !category || article.category === category;
-    const matchesPriority = !priority || article.priority === priority;
-    const matchesFunnel = !funnel || article.funnel === funnel;
-    const matchesStatus = !status || article.status === status;
-    
-    return matchesSearch && matchesCategory && matchesPriority && matchesFunnel && matchesStatus;
-  });
-  
-  render();
+function showImportReport(report) {
+  const actionStyles = {
+    create: 'bg-green-100 text-green-800',
+    update: 'bg-blue-100 text-blue-800',
+    unchanged: 'bg-gray-100 text-gray-800',
+    error: 'bg-red-100 text-red-800'
+  };
+  const summary = report.summary || {};
+  document.getElementById('import-summary').innerHTML = (report.errors || [report.error]).filter(Boolean)
+    .map(e => `<span class="px-2 py-1 rounded bg-red-100 text-red-800">${escapeHtml(e)}</span>`).join('') +
+    Object.keys(actionStyles).map(action =>
+      `<span class="px-2 py-1 rounded ${actionStyles[action]}">${summary[action] || 0} ${action}</span>`
+    ).join('');
+  document.getElementById('import-rows').innerHTML = (report.rows || [])
+    .filter(row => row.action !== 'unchanged')
+    .map(row => `
+      <div class="border-b py-2 flex gap-3">
+        <span class="text-xs text-gray-400 w-12">Row ${row.row}</span>
+        <span class="text-xs font-mono w-12">${escapeHtml(row.article_id || '—')}</span>
+        <span class="text-xs px-2 py-0.5 rounded h-fit ${actionStyles[row.action]}">${row.action}</span>
+        <div class="flex-1 text-xs text-gray-700">
+          ${(row.errors || []).map(e => `<div class="text-red-700">${escapeHtml(e)}</div>`).join('')}
+          ${(row.warnings || []).map(w => `<div class="text-amber-700">⚠️ ${escapeHtml(w)}</div>`).join('')}
+          ${(row.changes || []).map(c => `<div><strong>${escapeHtml(c.field)}</strong>: ${escapeHtml(c.old_value ?? '—')} → ${escapeHtml(c.new_value ?? '—')}</div>`).join('')}
+        </div>
+      </div>
+    `).join('');
+  const applicable = !report.committed && !report.errors && !report.error && !summary.error && (summary.create || summary.update);
+  document.getElementById('import-apply').disabled = !applicable;
+  document.getElementById('import-panel').classList.remove('hidden');
 }
 
-async function updateArticleStatus(id, status) {
+async function applyImport() {
+  if (!pendingImport) return;
   try {
-    await fetch(`/api/articles/${id}`, {
-      method: 'PATCH',
+    const report = await postImport(pendingImport, false);
+    showImportReport(report);
+    if (report.committed) {
+      pendingImport = null;
+      await loadArticles();
+      applyFilters();
+      updateStats();
+    }
+  } catch (err) {
+    console.error('Failed to apply import:', err);
+  }
+}
+
+function closeImport() {
+  pendingImport = null;
+  document.getElementById('import-panel').classList.add('hidden');
+}
+
+async function openScheduler() {
+  document.getElementById('schedule-start').value = '';
+  document.getElementById('schedule-capacity').value = planSettings?.posts_per_week || 2;
+  document.getElementById('schedule-panel').classList.remove('hidden');
+  await proposeSchedule();
+}
+
+async function proposeSchedule() {
+  const params = new URLSearchParams();
+  const start = document.getElementById('schedule-start').value;
+  const capacity = document.getElementById('schedule-capacity').value;
+  if (start) params.set('start_week', start);
+  if (capacity) params.set('posts_per_week', capacity);
+  const changesEl = document.getElementById('schedule-changes');
+  changesEl.innerHTML = '<p class="text-gray-500">Working…</p>';
+  try {
+    const response = await fetch(planUrl(`/schedule/proposal?${params}`), { credentials: 'same-origin' });
+    const proposal = await response.json();
+    if (!response.ok) {
+      changesEl.innerHTML = `<p class="text-red-600">${escapeHtml(describeError(proposal))}</p>`;
+      return;
+    }
+    document.getElementById('schedule-start').value = proposal.start_week;
+    document.getElementById('schedule-summary').textContent =
+      `${proposal.changes.length} moves from week ${proposal.start_week} · ${proposal.fixed} fixed (published or in progress)` +
+      (proposal.unplaced.length ? ` · ${proposal.unplaced.length} don't fit before the plan ends` : '');
+    changesEl.innerHTML = proposal.changes.map(change => `
+      <label class="border-b py-2 flex items-center gap-3">
+        <input type="checkbox" class="schedule-change" data-id="${change.id}" data-week="${change.to_week}" checked>
+        <span class="text-xs font-mono text-gray-400 w-12">${escapeHtml(change.article_id)}</span>
+        <span class="text-xs px-2 py-0.5 rounded ${priorityColors[change.priority]?.bg} ${priorityColors[change.priority]?.text}">${change.priority || ''}</span>
+        <span class="flex-1 text-gray-800">${escapeHtml(change.title)}</span>
+        <span class="text-xs text-gray-500 whitespace-nowrap">Week ${change.from_week ?? '—'} → <strong>${change.to_week}</strong></span>
+      </label>
+    `).join('') + proposal.unplaced.map(article => `
+      <div class="border-b py-2 flex items-center gap-3 text-gray-500">
+        <span class="w-4"></span>
+        <span class="text-xs font-mono w-12">${escapeHtml(article.article_id)}</span>
+        <span class="flex-1">${escapeHtml(article.title)}</span>
+        <span class="text-xs text-red-600 whitespace-nowrap">No free week</span>
+      </div>
+    `).join('') || '<p class="text-gray-500">The schedule is already balanced</p>';
+    document.getElementById('schedule-apply').disabled = proposal.changes.length === 0;
+  } catch (err) {
+    console.error('Failed to propose schedule:', err);
+    changesEl.innerHTML = '<p class="text-red-600">Could not build a proposal</p>';
+  }
+}
+
+async function applySchedule() {
+  const changes = [...document.querySelectorAll('.schedule-change:checked')]
+    .map(input => ({ id: Number(input.dataset.id), week: Number(input.dataset.week) }));
+  if (changes.length === 0) return;
+  try {
+    const response = await fetch(planUrl('/schedule/apply'), {
+      method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ status })
+      credentials: 'same-origin',
+      body: JSON.stringify({ changes })
     });
+    if (!response.ok) {
+      alert(describeError(await response.json()));
+      return;
+    }
+    closeScheduler();
     await loadArticles();
     applyFilters();
-    updateStats();
   } catch (err) {
-    console.error('Failed to update article:', err);
+    console.error('Failed to apply schedule:', err);
   }
 }
 
+function closeScheduler() {
+  document.getElementById('schedule-panel').classList.add('hidden');
+}
+
 function render() {
   const viewMode = document.getElementById('view-mode').value;
   const contentArea = document.getElementById('content-area');
   
-  document.getElementById('results-count').textContent = filteredArticles.length;
+  document.getElementById('results-count').textContent = filteredArticles.length + (nextCursor ? '+' : '');
   
   switch(viewMode) {
     case 'calendar':
@@ -143,9 +1574,46 @@ function render() {
     case 'category':
       renderCategoryView(contentArea);
       break;
+    case 'board':
+      renderBoardView(contentArea);
+      break;
+    case 'overlaps':
+      renderOverlapView(contentArea);
+      break;
+    case 'links':
+      renderLinkView(contentArea);
+      break;
+    case 'dashboard':
+      renderDashboardView(contentArea);
+      break;
+    case 'performance':
+      renderPerformanceView(contentArea);
+      break;
+    case 'workload':
+      renderWorkloadView(contentArea);
+      break;
     default:
       renderListView(contentArea);
   }
+
+  if (nextCursor && !['overlaps', 'links', 'dashboard', 'performance', 'workload'].includes(viewMode)) {
+    contentArea.insertAdjacentHTML('beforeend', `
+      <div class="text-center py-4">
+        <button onclick="loadMore()" class="px-4 py-2 text-sm border rounded-md text-indigo-600 hover:bg-indigo-50">Load more</button>
+      </div>
+    `);
+  }
+}
+
+// Status select options, with moves the workflow doesn't allow disabled
+function statusOptions(article) {
+  const current = article.status || 'planned';
+  const allowed = planSettings?.status_transitions?.[current];
+  const labels = { planned: 'Planned', in_progress: 'In Progress', written: 'Written', published: 'Published' };
+  return Object.entries(labels).map(([value, label]) => {
+    const disabled = allowed && value !== current && !allowed.includes(value);
+    return `<option value="${value}" ${value === current ? 'selected' : ''} ${disabled ? 'disabled' : ''}>${label}</option>`;
+  }).join('');
 }
 
 function renderListView(container) {
@@ -155,27 +1623,31 @@ function renderListView(container) {
         <div class="flex-1">
           <div class="flex items-center gap-2 mb-1 flex-wrap">
             <span class="text-xs font-mono text-gray-400">${article.article_id || article.id}</span>
-            <span class="text-xs px-2 py-0.5 rounded ${categoryColors[article.category]?.bg} ${categoryColors[article.category]?.text}">${article.category}</span>
+            <span class="text-xs px-2 py-0.5 rounded ${categoryColors[article.category]?.bg} ${categoryColors[article.category]?.text}">${escapeHtml(article.category)}</span>
             <span class="text-xs px-2 py-0.5 rounded ${priorityColors[article.priority]?.bg} ${priorityColors[article.priority]?.text}">${article.priority}</span>
             <span class="text-xs px-2 py-0.5 rounded ${statusColors[article.status]?.bg || 'bg-gray-100'} ${statusColors[article.status]?.text || 'text-gray-800'}">${article.status || 'planned'}</span>
-            <span class="text-xs text-gray-500">Week ${article.week}</span>
+            <span class="text-xs text-gray-500">Week ${article.week}${article.scheduled_date ? ` · ${formatDay(article.scheduled_date)}` : ''}</span>
+            ${article.assignee_id ? `<span class="text-xs text-gray-500">✍ ${escapeHtml(article.assignee_id === currentUser?.id ? 'You' : writerName(article.assignee_id))}</span>` : ''}
+            ${article.pending_sync ? '<span class="text-xs px-2 py-0.5 rounded bg-amber-100 text-amber-800" title="Saved on this device; sent to the server when the connection returns">Not synced</span>' : ''}
           </div>
-          <h3 class="font-semibold text-gray-900 mb-1">${article.title}</h3>
-          <p class="text-sm text-gray-600 mb-2">${article.description || ''}</p>
+          <h3 onclick="openEditor(${article.id})" class="font-semibold text-gray-900 mb-1 cursor-pointer hover:text-indigo-600">${escapeHtml(article.title)}</h3>
+          <p class="text-sm text-gray-600 mb-2">${escapeHtml(article.description)}</p>
+          ${article.notes ? `<p class="text-xs text-gray-500 italic mb-2 line-clamp-2">🗒 ${escapeHtml(article.notes)}</p>` : ''}
           <div class="flex flex-wrap gap-2 text-xs text-gray-500">
-            <span class="bg-gray-100 px-2 py-1 rounded">🔍 ${article.keyword || ''}</span>
-            <span class="bg-gray-100 px-2 py-1 rounded">📊 ${article.intent || ''}</span>
+            <span class="bg-gray-100 px-2 py-1 rounded">🔍 ${escapeHtml(article.keyword)}</span>
+            <span class="bg-gray-100 px-2 py-1 rounded">📊 ${escapeHtml(article.intent)}</span>
             <span class="bg-gray-100 px-2 py-1 rounded">🎯 ${article.funnel || ''}</span>
             <span class="bg-gray-100 px-2 py-1 rounded">📝 ${(article.word_count || article.wordCount || 0).toLocaleString()} words</span>
           </div>
         </div>
-        <div class="flex-shrink-0">
-          <select onchange="updateArticleStatus(${article.id}, this.value)" class="text-xs border rounded px-2 py-1">
-            <option value="planned" ${article.status === 'planned' ? 'selected' : ''}>Planned</option>
-            <option value="in_progress" ${article.status === 'in_progress' ? 'selected' : ''}>In Progress</option>
-            <option value="written" ${article.status === 'written' ? 'selected' : ''}>Written</option>
-            <option value="published" ${article.status === 'published' ? 'selected' : ''}>Published</option>
+        <div class="flex-shrink-0 flex flex-col items-end gap-2">
+          <select onchange="updateArticleStatus(${article.id}, this.value)" class="text-xs border rounded px-2 py-1" ${can('writer') ? '' : 'disabled'}>
+            ${statusOptions(article)}
           </select>
+          <button onclick="openEditor(${article.id})" class="text-xs text-indigo-600 hover:underline">${can('writer') ? 'Edit' : 'Details'}</button>
+          <button onclick="showHistory(${article.id})" class="text-xs text-indigo-600 hover:underline">History</button>
+          <a href="${planUrl(`/articles/${article.id}/brief`)}" class="text-xs text-indigo-600 hover:underline">Brief</a>
+          <button onclick="openDraft(${article.id})" class="text-xs text-indigo-600 hover:underline">Draft</button>
         </div>
       </div>
     </div>
@@ -191,28 +1663,48 @@ function renderCalendarView(container) {
     weeks[article.week].push(article);
   });
   
+  // Writers also get the empty weeks in between, so there's somewhere to drop
+  if (can('writer')) {
+    const bounds = Object.keys(weeks).map(Number).filter(Number.isInteger).reduce(
+      (range, week) => range ? { first: Math.min(range.first, week), last: Math.max(range.last, week) } : { first: week, last: week },
+      null
+    );
+    if (bounds) {
+      for (let week = bounds.first; week < bounds.last; week++) {
+        if (!weeks[week]) weeks[week] = [];
+      }
+    }
+  }
+  
   const sortedWeeks = Object.keys(weeks).sort((a, b) => parseInt(a) - parseInt(b));
   
   const html = `
+    <div class="flex justify-end mb-3">
+      <button onclick="subscribeToCalendar()" class="text-sm text-indigo-600 hover:underline">📅 Subscribe in your calendar</button>
+    </div>
     <div class="grid gap-4">
       ${sortedWeeks.map(week => {
-        const quarter = Math.ceil(parseInt(week) / 13);
+        const range = weekRange(parseInt(week));
+        const quarter = range ? Math.floor(range.start.getUTCMonth() / 3) + 1 : Math.ceil(parseInt(week) / 13);
         return `
-          <div class="bg-white rounded-lg shadow-sm p-4">
+          <div class="bg-white rounded-lg shadow-sm p-4" ${can('writer') && Number.isInteger(parseInt(week)) ? `ondragover="allowDrop(event)" ondrop="dropOnWeek(event, ${parseInt(week)})"` : ''}>
             <div class="flex items-center gap-2 mb-3">
               <span class="text-lg font-bold text-indigo-600">Week ${week}</span>
               <span class="text-sm text-gray-500">Q${quarter}</span>
+              ${range ? `<span class="text-sm text-gray-500">${formatDay(range.start)} – ${formatDay(range.end)}</span>` : ''}
             </div>
             <div class="grid md:grid-cols-2 gap-3">
+              ${weeks[week].length ? '' : '<p class="text-sm text-gray-400">Nothing scheduled</p>'}
               ${weeks[week].map(article => `
-                <div class="border rounded-lg p-3 ${categoryColors[article.category]?.border || 'border-gray-200'}">
+                <div class="border rounded-lg p-3 ${categoryColors[article.category]?.border || 'border-gray-200'} ${can('writer') ? 'cursor-move' : ''}" ${dragAttributes(article)}>
                   <div class="flex items-center gap-2 mb-1 flex-wrap">
                     <span class="text-xs font-mono text-gray-400">${article.article_id || article.id}</span>
                     <span class="text-xs px-2 py-0.5 rounded ${priorityColors[article.priority]?.bg} ${priorityColors[article.priority]?.text}">${article.priority}</span>
                     <span class="text-xs px-2 py-0.5 rounded ${statusColors[article.status]?.bg || 'bg-gray-100'} ${statusColors[article.status]?.text || 'text-gray-800'}">${article.status || 'planned'}</span>
                   </div>
-                  <h4 class="font-medium text-sm text-gray-900">${article.title}</h4>
-                  <span class="text-xs ${categoryColors[article.category]?.text}">${article.category}</span>
+                  <h4 onclick="openEditor(${article.id})" class="font-medium text-sm text-gray-900 cursor-pointer hover:text-indigo-600">${escapeHtml(article.title)}</h4>
+                  <span class="text-xs ${categoryColors[article.category]?.text}">${escapeHtml(article.category)}</span>
+                  ${article.scheduled_date ? `<span class="text-xs text-gray-500">· ${formatDay(article.scheduled_date, { weekday: 'short', month: 'short', day: 'numeric' })}</span>` : ''}
                 </div>
               `).join('')}
             </div>
@@ -237,7 +1729,7 @@ function renderCategoryView(container) {
   const html = sortedCategories.map(category => `
     <div class="mb-8">
       <div class="flex items-center gap-2 mb-4">
-        <h2 class="text-xl font-bold text-gray-900">${category}</h2>
+        <h2 class="text-xl font-bold text-gray-900">${escapeHtml(category)}</h2>
         <span class="text-sm px-2 py-1 rounded ${categoryColors[category]?.bg} ${categoryColors[category]?.text}">
           ${categories[category].length} articles
         </span>
@@ -251,8 +1743,8 @@ function renderCategoryView(container) {
               <span class="text-xs px-2 py-0.5 rounded ${statusColors[article.status]?.bg || 'bg-gray-100'} ${statusColors[article.status]?.text || 'text-gray-800'}">${article.status || 'planned'}</span>
               <span class="text-xs text-gray-500">Wk ${article.week}</span>
             </div>
-            <h3 class="font-medium text-gray-900 mb-1 text-sm">${article.title}</h3>
-            <p class="text-xs text-gray-500">${article.keyword || ''}</p>
+            <h3 onclick="openEditor(${article.id})" class="font-medium text-gray-900 mb-1 text-sm cursor-pointer hover:text-indigo-600">${escapeHtml(article.title)}</h3>
+            <p class="text-xs text-gray-500">${escapeHtml(article.keyword)}</p>
           </div>
         `).join('')}
       </div>
@@ -261,3 +1753,549 @@ function renderCategoryView(container) {
   
   container.innerHTML = html || '<p class="text-gray-500 text-center py-8">No articles match your filters</p>';
 }
+
+const boardColumns = [
+  { status: 'planned', label: 'Planned' },
+  { status: 'in_progress', label: 'In Progress' },
+  { status: 'written', label: 'Written' },
+  { status: 'published', label: 'Published' }
+];
+
+function renderBoardView(container) {
+  container.innerHTML = `
+    <div class="grid md:grid-cols-2 lg:grid-cols-4 gap-4">
+      ${boardColumns.map(({ status, label }) => {
+        const cards = filteredArticles.filter(article => (article.status || 'planned') === status);
+        return `
+          <div class="bg-gray-100 rounded-lg p-3 min-h-[8rem]" data-drop-status="${status}" ${can('writer') ? `ondragover="allowDrop(event)" ondrop="dropOnStatus(event, '${status}')"` : ''}>
+            <div class="flex items-center justify-between mb-3">
+              <h2 class="font-semibold text-gray-800">${label}</h2>
+              <span class="text-xs px-2 py-0.5 rounded ${statusColors[status].bg} ${statusColors[status].text}">${cards.length}</span>
+            </div>
+            <div class="space-y-2">
+              ${cards.map(article => `
+                <div class="bg-white rounded-md shadow-sm p-3 border-l-4 ${categoryColors[article.category]?.border || 'border-gray-200'} ${can('writer') ? 'cursor-move' : ''}" ${dragAttributes(article)}>
+                  <div class="flex items-center gap-2 mb-1 flex-wrap">
+                    <span class="text-xs font-mono text-gray-400">${article.article_id || article.id}</span>
+                    <span class="text-xs px-2 py-0.5 rounded ${priorityColors[article.priority]?.bg} ${priorityColors[article.priority]?.text}">${article.priority}</span>
+                    <span class="text-xs text-gray-500">Wk ${article.week ?? '—'}</span>
+                  </div>
+                  <h3 onclick="openEditor(${article.id})" class="font-medium text-sm text-gray-900 cursor-pointer hover:text-indigo-600">${escapeHtml(article.title)}</h3>
+                </div>
+              `).join('')}
+            </div>
+          </div>
+        `;
+      }).join('')}
+    </div>
+  `;
+}
+
+const overlapLabels = {
+  keyword_exact: { label: 'Same keyword', style: 'bg-red-100 text-red-800' },
+  keyword_fuzzy: { label: 'Overlapping keyword', style: 'bg-yellow-100 text-yellow-800' },
+  title_similar: { label: 'Similar title', style: 'bg-blue-100 text-blue-800' }
+};
+
+// Plan-wide analysis, independent of the filters
+async function renderOverlapView(container) {
+  container.innerHTML = '<p class="text-gray-500 text-center py-8">Analyzing keywords…</p>';
+  try {
+    const response = await fetch(planUrl('/analysis/overlaps'), { credentials: 'same-origin' });
+    const { pairs } = await response.json();
+    if (document.getElementById('view-mode').value !== 'overlaps') return;
+    container.innerHTML = pairs.map(pair => `
+      <div class="bg-white rounded-lg shadow-sm p-4 mb-3">
+        <div class="flex gap-2 mb-3 flex-wrap">
+          ${pair.issues.map(issue => `
+            <span class="text-xs px-2 py-0.5 rounded ${overlapLabels[issue.type].style}">${overlapLabels[issue.type].label} · ${Math.round(issue.score * 100)}%</span>
+          `).join('')}
+        </div>
+        <div class="grid md:grid-cols-2 gap-3">
+          ${pair.articles.map(article => `
+            <div class="border rounded-lg p-3 ${categoryColors[article.category]?.border || 'border-gray-200'}">
+              <div class="flex items-center gap-2 mb-1 flex-wrap">
+                <span class="text-xs font-mono text-gray-400">${escapeHtml(article.article_id)}</span>
+                <span class="text-xs px-2 py-0.5 rounded ${statusColors[article.status]?.bg || 'bg-gray-100'} ${statusColors[article.status]?.text || 'text-gray-800'}">${article.status || 'planned'}</span>
+                <span class="text-xs text-gray-500">Week ${article.week ?? '—'}</span>
+              </div>
+              <h4 class="font-medium text-sm text-gray-900">${escapeHtml(article.title)}</h4>
+              <p class="text-xs text-gray-500">🔍 ${escapeHtml(article.keyword || '')}</p>
+            </div>
+          `).join('')}
+        </div>
+      </div>
+    `).join('') || '<p class="text-gray-500 text-center py-8">No keyword overlaps or duplicate titles found</p>';
+  } catch (err) {
+    console.error('Failed to load overlaps:', err);
+    container.innerHTML = '<p class="text-red-600 text-center py-8">Could not analyze keywords</p>';
+  }
+}
+
+// Articles on a circle grouped by category, with a line per link
+function linkGraphSvg({ nodes, edges }) {
+  const size = 640;
+  const center = size / 2;
+  const radius = center - 30;
+  const ordered = [...nodes].sort((a, b) => (a.category || '').localeCompare(b.category || '') || a.article_id.localeCompare(b.article_id));
+  const position = new Map(ordered.map((node, i) => {
+    const angle = (2 * Math.PI * i) / ordered.length - Math.PI / 2;
+    return [node.id, { x: center + radius * Math.cos(angle), y: center + radius * Math.sin(angle) }];
+  }));
+  return `
+    <svg viewBox="0 0 ${size} ${size}" class="w-full max-w-2xl mx-auto">
+      ${edges.map(edge => {
+        const from = position.get(edge.from_id);
+        const to = position.get(edge.to_id);
+        return `<line x1="${from.x}" y1="${from.y}" x2="${to.x}" y2="${to.y}" stroke="#a5b4fc" stroke-width="1" />`;
+      }).join('')}
+      ${ordered.map(node => {
+        const { x, y } = position.get(node.id);
+        const orphan = node.inbound === 0 && node.outbound === 0;
+        return `
+          <circle cx="${x}" cy="${y}" r="${4 + Math.min(node.inbound, 6)}" fill="currentColor"
+            class="${categoryColors[node.category]?.text || 'text-gray-500'} cursor-pointer"
+            stroke="${orphan ? '#dc2626' : 'white'}" stroke-width="${orphan ? 2 : 1}" onclick="openEditor(${node.id})">
+            <title>${escapeHtml(node.article_id)}: ${escapeHtml(node.title)} (${node.inbound} in, ${node.outbound} out)</title>
+          </circle>
+        `;
+      }).join('')}
+    </svg>
+  `;
+}
+
+// Plan-wide, like the overlaps view
+async function renderLinkView(container) {
+  container.innerHTML = '<p class="text-gray-500 text-center py-8">Loading links…</p>';
+  try {
+    const response = await fetch(planUrl('/links/graph'), { credentials: 'same-origin' });
+    const graph = await response.json();
+    if (document.getElementById('view-mode').value !== 'links') return;
+    container.innerHTML = `
+      <div class="bg-white rounded-lg shadow-sm p-4 mb-4">
+        <div class="flex flex-wrap gap-4 text-sm text-gray-600 mb-2">
+          <span><strong>${graph.edges.length}</strong> links</span>
+          <span><strong>${graph.orphans.length}</strong> orphans (outlined red)</span>
+          <span><strong>${graph.needs_inbound.length}</strong> published without inbound links</span>
+        </div>
+        ${linkGraphSvg(graph)}
+        <p class="text-xs text-gray-500 text-center">Dot size grows with inbound links. Click an article to see its links.</p>
+      </div>
+      <div class="grid md:grid-cols-2 gap-4">
+        <div class="bg-white rounded-lg shadow-sm p-4">
+          <h2 class="font-semibold text-gray-900 mb-3">Published, needs inbound links</h2>
+          ${graph.needs_inbound.map(node => `
+            <div class="border-b py-2">
+              <div class="cursor-pointer hover:text-indigo-600" onclick="openEditor(${node.id})">${linkedArticleLabel(node)}</div>
+              ${node.suggestions.map(s => `
+                <div class="flex justify-between gap-2 text-xs text-gray-600 ml-4 mt-1">
+                  <span>from ${linkedArticleLabel(s)}</span>
+                  ${can('writer') ? `<button onclick="addLink(${s.id}, ${node.id}, ${escapeHtml(JSON.stringify(node.keyword || null))})" class="text-indigo-600 hover:underline whitespace-nowrap">+ Link</button>` : ''}
+                </div>
+              `).join('')}
+            </div>
+          `).join('') || '<p class="text-sm text-gray-500">Every published article has an inbound link from another published one</p>'}
+        </div>
+        <div class="bg-white rounded-lg shadow-sm p-4">
+          <h2 class="font-semibold text-gray-900 mb-3">Orphans</h2>
+          ${graph.orphans.map(node => `
+            <div class="py-1 text-sm cursor-pointer hover:text-indigo-600" onclick="openEditor(${node.id})">${linkedArticleLabel(node)}</div>
+          `).join('') || '<p class="text-sm text-gray-500">No orphans</p>'}
+        </div>
+      </div>
+    `;
+  } catch (err) {
+    console.error('Failed to load link graph:', err);
+    container.innerHTML = '<p class="text-red-600 text-center py-8">Could not load the link graph</p>';
+  }
+}
+
+const chartSize = { width: 720, height: 200, pad: 28 };
+
+// Bars per plan week: scheduled (light) with published (dark) in front
+function weeklyChartSvg(weeks, currentWeek) {
+  const { width, height, pad } = chartSize;
+  const max = Math.max(1, ...weeks.map(w => Math.max(w.planned, w.published || 0)));
+  const step = (width - pad) / weeks.length;
+  const y = value => height - pad - (value / max) * (height - 2 * pad);
+  return `
+    <svg viewBox="0 0 ${width} ${height}" class="w-full">
+      ${weeks.map((w, i) => {
+        const x = pad + i * step;
+        return `
+          <rect x="${x + 1}" y="${y(w.planned)}" width="${step - 2}" height="${height - pad - y(w.planned)}" fill="#e0e7ff"><title>Week ${w.week}: ${w.planned} planned</title></rect>
+          ${w.published ? `<rect x="${x + step / 4}" y="${y(w.published)}" width="${step / 2}" height="${height - pad - y(w.published)}" fill="#4f46e5"><title>Week ${w.week}: ${w.published} published</title></rect>` : ''}
+          ${w.week % 4 === 1 ? `<text x="${x + step / 2}" y="${height - pad + 14}" font-size="10" text-anchor="middle" fill="#6b7280">${w.week}</text>` : ''}
+        `;
+      }).join('')}
+      ${currentWeek >= 1 && currentWeek <= weeks.length ? `<line x1="${pad + (currentWeek - 0.5) * step}" x2="${pad + (currentWeek - 0.5) * step}" y1="${pad / 2}" y2="${height - pad}" stroke="#f59e0b" stroke-dasharray="4 3" />` : ''}
+      <text x="${pad - 6}" y="${y(max) + 4}" font-size="10" text-anchor="end" fill="#6b7280">${max}</text>
+      <text x="${pad - 6}" y="${height - pad}" font-size="10" text-anchor="end" fill="#6b7280">0</text>
+    </svg>
+  `;
+}
+
+// Remaining articles per week: the plan's line against what's actually left
+function burndownSvg(weeks, total) {
+  const { width, height, pad } = chartSize;
+  const step = (width - pad) / Math.max(1, weeks.length - 1);
+  const y = value => height - pad - (value / Math.max(1, total)) * (height - 2 * pad);
+  const line = key => weeks
+    .filter(w => w[key] !== null)
+    .map((w, i) => `${i ? 'L' : 'M'}${pad + (w.week - 1) * step},${y(w[key])}`)
+    .join(' ');
+  return `
+    <svg viewBox="0 0 ${width} ${height}" class="w-full">
+      <path d="${line('remaining_planned')}" fill="none" stroke="#a5b4fc" stroke-width="2" stroke-dasharray="6 4" />
+      <path d="${line('remaining_actual')}" fill="none" stroke="#4f46e5" stroke-width="2.5" />
+      ${weeks.filter(w => w.week % 4 === 1).map(w => `<text x="${pad + (w.week - 1) * step}" y="${height - pad + 14}" font-size="10" text-anchor="middle" fill="#6b7280">${w.week}</text>`).join('')}
+      <text x="${pad - 6}" y="${y(total) + 4}" font-size="10" text-anchor="end" fill="#6b7280">${total}</text>
+      <text x="${pad - 6}" y="${height - pad}" font-size="10" text-anchor="end" fill="#6b7280">0</text>
+    </svg>
+  `;
+}
+
+function completionTable(title, groups) {
+  return `
+    <div class="bg-white rounded-lg shadow-sm p-4">
+      <h2 class="font-semibold text-gray-900 mb-3">${title}</h2>
+      ${groups.map(g => `
+        <div class="mb-2">
+          <div class="flex justify-between text-sm">
+            <span class="text-gray-700">${escapeHtml(g.name)}</span>
+            <span class="text-gray-500">${g.published}/${g.total} · ${Math.round(g.completion * 100)}%</span>
+          </div>
+          <div class="flex h-2 rounded bg-gray-100 overflow-hidden" title="${g.published} published, ${g.written} written, ${g.in_progress} in progress">
+            <div class="bg-green-500" style="width: ${(g.published / g.total) * 100}%"></div>
+            <div class="bg-yellow-400" style="width: ${(g.written / g.total) * 100}%"></div>
+            <div class="bg-blue-400" style="width: ${(g.in_progress / g.total) * 100}%"></div>
+          </div>
+        </div>
+      `).join('')}
+    </div>
+  `;
+}
+
+// Plan-wide, like the overlaps view
+async function renderDashboardView(container) {
+  container.innerHTML = '<p class="text-gray-500 text-center py-8">Crunching numbers…</p>';
+  try {
+    const response = await fetch(planUrl('/analytics'), { credentials: 'same-origin' });
+    const stats = await response.json();
+    if (document.getElementById('view-mode').value !== 'dashboard') return;
+    const card = (value, label) => `
+      <div class="bg-white rounded-lg p-4 shadow-sm">
+        <div class="text-2xl font-bold text-indigo-600">${value}</div>
+        <div class="text-sm text-gray-500">${label}</div>
+      </div>
+    `;
+    container.innerHTML = `
+      <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+        ${card(`${stats.published}/${stats.total}`, 'Published')}
+        ${card(stats.velocity, 'Published per week (last 4 weeks)')}
+        ${card(stats.remaining === 0 ? 'Done' : stats.projected_finish_week ? `Week ${stats.projected_finish_week}` : '—', 'Projected finish at this pace')}
+        ${card(stats.slipped.length, 'Past their date, not published')}
+      </div>
+      <div class="bg-white rounded-lg shadow-sm p-4 mb-4">
+        <h2 class="font-semibold text-gray-900 mb-1">Published per week vs. plan</h2>
+        <p class="text-xs text-gray-500 mb-2">Light bars are scheduled, dark bars published; the dashed line is this week (${stats.current_week}).</p>
+        ${weeklyChartSvg(stats.weeks, stats.current_week)}
+      </div>
+      <div class="bg-white rounded-lg shadow-sm p-4 mb-4">
+        <h2 class="font-semibold text-gray-900 mb-1">Burndown</h2>
+        <p class="text-xs text-gray-500 mb-2">Articles left to publish: dashed is the schedule, solid is actual.</p>
+        ${burndownSvg(stats.weeks, stats.total)}
+      </div>
+      <div class="grid md:grid-cols-2 gap-4 mb-4">
+        ${completionTable('By category', stats.by_category)}
+        ${completionTable('By funnel stage', stats.by_funnel)}
+      </div>
+      <div class="bg-white rounded-lg shadow-sm p-4">
+        <h2 class="font-semibold text-gray-900 mb-3">Slipped (${stats.slipped.length})</h2>
+        ${stats.slipped.map(a => `
+          <div class="flex items-center gap-3 border-b py-2 text-sm">
+            <span class="text-xs font-mono text-gray-400 w-12">${escapeHtml(a.article_id)}</span>
+            <span class="text-xs px-2 py-0.5 rounded ${statusColors[a.status]?.bg || 'bg-gray-100'} ${statusColors[a.status]?.text || 'text-gray-800'}">${a.status || 'planned'}</span>
+            <span class="flex-1 cursor-pointer hover:text-indigo-600" onclick="openEditor(${a.id})">${escapeHtml(a.title)}</span>
+            <span class="text-xs text-gray-500 whitespace-nowrap">Week ${a.week} · ${formatDay(a.scheduled_date)}</span>
+            <span class="text-xs text-red-600 whitespace-nowrap">${a.days_late} days late</span>
+          </div>
+        `).join('') || '<p class="text-sm text-gray-500">Nothing has slipped</p>'}
+      </div>
+    `;
+  } catch (err) {
+    console.error('Failed to load analytics:', err);
+    container.innerHTML = '<p class="text-red-600 text-center py-8">Could not load analytics</p>';
+  }
+}
+
+// Search Console exports: preview the matching, then replace the stored data
+async function importPerformance(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+  const csv = await file.text();
+  const post = async dryRun => {
+    const response = await fetch(planUrl(`/performance/import${dryRun ? '?dry_run=1' : ''}`), {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/csv' },
+      credentials: 'same-origin',
+      body: csv
+    });
+    return response.json();
+  };
+  try {
+    const report = await post(true);
+    const problems = [...(report.errors || []), ...(report.error ? [report.error] : []),
+      ...(report.rows || []).map(row => `Row ${row.row}: ${row.errors.join(', ')}`)];
+    if (problems.length) {
+      alert(`Import failed:\n${problems.slice(0, 10).join('\n')}`);
+      return;
+    }
+    const { rows, url, keyword, unmatched } = report.summary;
+    if (!confirm(`${rows} rows: ${url} matched by URL, ${keyword} by keyword, ${unmatched} unmatched. Replace the current performance data?`)) return;
+    await post(false);
+    render();
+  } catch (err) {
+    console.error('Failed to import performance data:', err);
+  }
+}
+
+function formatPosition(position) {
+  return position == null ? '—' : position.toFixed(1);
+}
+
+async function renderPerformanceView(container) {
+  container.innerHTML = '<p class="text-gray-500 text-center py-8">Loading performance…</p>';
+  try {
+    const response = await fetch(planUrl('/performance'), { credentials: 'same-origin' });
+    const perf = await response.json();
+    if (document.getElementById('view-mode').value !== 'performance') return;
+    const articleCell = a => `
+      <span class="text-xs font-mono text-gray-400 w-12">${escapeHtml(a.article_id)}</span>
+      <span class="flex-1 cursor-pointer hover:text-indigo-600" onclick="openEditor(${a.id})">${escapeHtml(a.title)}</span>
+    `;
+    container.innerHTML = `
+      <div class="bg-white rounded-lg shadow-sm p-4 mb-4 flex items-center gap-4">
+        <p class="flex-1 text-sm text-gray-600">
+          ${perf.imported_at ? `Data imported ${new Date(perf.imported_at).toLocaleString()}` : 'No performance data yet. Import a Search Console export (queries or pages) to see how published articles rank.'}
+        </p>
+        ${can('editor') ? `
+          <label class="px-3 py-2 text-sm border rounded-md text-indigo-600 hover:bg-indigo-50 cursor-pointer">
+            Import CSV
+            <input type="file" accept=".csv,text/csv" class="hidden" onchange="importPerformance(event)">
+          </label>
+        ` : ''}
+      </div>
+      <div class="bg-white rounded-lg shadow-sm p-4 mb-4">
+        <h2 class="font-semibold text-gray-900 mb-3">Underperforming High priority (${perf.underperforming.length})</h2>
+        ${perf.underperforming.map(a => `
+          <div class="flex items-center gap-3 border-b py-2 text-sm">
+            ${articleCell(a)}
+            <span class="text-xs text-red-600">${a.reasons.map(escapeHtml).join(' · ')}</span>
+          </div>
+        `).join('') || '<p class="text-sm text-gray-500">Every High priority article published a month or more ago is ranking</p>'}
+      </div>
+      <div class="grid md:grid-cols-2 gap-4 mb-4">
+        <div class="bg-white rounded-lg shadow-sm p-4">
+          <h2 class="font-semibold text-gray-900 mb-3">Target keyword rankings</h2>
+          ${perf.rankings.map(a => `
+            <div class="flex items-center gap-3 border-b py-2 text-sm">
+              <span class="text-xs font-bold w-10 ${a.keyword_position <= 10 ? 'text-green-700' : 'text-amber-700'}">${formatPosition(a.keyword_position)}</span>
+              <span class="flex-1">${escapeHtml(a.keyword)}</span>
+              <span class="text-xs font-mono text-gray-400">${escapeHtml(a.article_id)}</span>
+            </div>
+          `).join('') || '<p class="text-sm text-gray-500">No target keywords found in the data</p>'}
+        </div>
+        <div class="bg-white rounded-lg shadow-sm p-4">
+          <h2 class="font-semibold text-gray-900 mb-3">Top unmatched queries (${perf.unmatched.rows} rows)</h2>
+          ${perf.unmatched.top.map(r => `
+            <div class="flex items-center gap-3 border-b py-2 text-sm">
+              <span class="flex-1 truncate">${escapeHtml(r.query || r.page)}</span>
+              <span class="text-xs text-gray-500 whitespace-nowrap">${r.impressions} impressions · ${formatPosition(r.position)}</span>
+            </div>
+          `).join('') || '<p class="text-sm text-gray-500">Every row matched an article</p>'}
+        </div>
+      </div>
+      <div class="bg-white rounded-lg shadow-sm p-4">
+        <h2 class="font-semibold text-gray-900 mb-3">By article</h2>
+        <table class="w-full text-sm">
+          <thead>
+            <tr class="text-left text-xs text-gray-500 border-b">
+              <th class="py-2">Article</th><th>Published</th><th class="text-right">Clicks</th><th class="text-right">Impressions</th><th class="text-right">CTR</th><th class="text-right">Position</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${perf.articles.map(a => `
+              <tr class="border-b align-top">
+                <td class="py-2"><div class="flex gap-3">${articleCell(a)}</div>
+                  ${a.top_queries.length ? `<div class="text-xs text-gray-500 mt-1 ml-14">${a.top_queries.map(q => escapeHtml(q.query)).join(', ')}</div>` : ''}
+                </td>
+                <td class="whitespace-nowrap">${a.published_url ? `<a href="${escapeHtml(a.published_url)}" target="_blank" rel="noopener" class="text-indigo-600 hover:underline">${a.published_date ? formatDay(a.published_date) : 'Live'}</a>` : escapeHtml(a.published_date ? formatDay(a.published_date) : '—')}</td>
+                <td class="text-right">${a.clicks}</td>
+                <td class="text-right">${a.impressions}</td>
+                <td class="text-right">${a.ctr == null ? '—' : `${(a.ctr * 100).toFixed(1)}%`}</td>
+                <td class="text-right">${formatPosition(a.position)}</td>
+              </tr>
+            `).join('') || '<tr><td colspan="6" class="py-2 text-gray-500">No published articles or matched data yet</td></tr>'}
+          </tbody>
+        </table>
+      </div>
+    `;
+  } catch (err) {
+    console.error('Failed to load performance:', err);
+    container.innerHTML = '<p class="text-red-600 text-center py-8">Could not load performance data</p>';
+  }
+}
+
+// Plan-wide, like the dashboard: words assigned to each writer per week, against the
+// capacity on the plan's roster. Admins manage the roster here.
+async function renderWorkloadView(container) {
+  container.innerHTML = '<p class="text-gray-500 text-center py-8">Adding up assignments…</p>';
+  await loadWorkload();
+  const candidates = can('admin') ? await rosterCandidates() : [];
+  if (document.getElementById('view-mode').value !== 'workload') return;
+  if (!workload) {
+    container.innerHTML = '<p class="text-red-600 text-center py-8">Could not load the workload</p>';
+    return;
+  }
+  const { writers, unassigned, current_week } = workload;
+  const weeks = [...new Set(writers.flatMap(w => w.weeks.map(entry => entry.week)))].sort((a, b) => a - b);
+  const cell = (writer, week) => {
+    const entry = writer.weeks.find(e => e.week === week);
+    if (!entry) return '<td class="text-center text-gray-300">—</td>';
+    return `<td class="text-center ${entry.overloaded ? 'bg-red-100 text-red-800 font-medium' : ''}" title="${escapeHtml(entry.articles.join(', '))}">${entry.words.toLocaleString()}</td>`;
+  };
+  const weekLabel = week => {
+    const range = weekRange(week);
+    return `Week ${week}${range ? ` <span class="text-xs text-gray-400">${formatDay(range.start)}</span>` : ''}`;
+  };
+  container.innerHTML = `
+    <div class="grid grid-cols-2 md:grid-cols-3 gap-4 mb-4">
+      <div class="bg-white rounded-lg p-4 shadow-sm">
+        <div class="text-2xl font-bold text-indigo-600">${rosterWriters().length}</div>
+        <div class="text-sm text-gray-500">Writers on the roster</div>
+      </div>
+      <div class="bg-white rounded-lg p-4 shadow-sm">
+        <div class="text-2xl font-bold ${workload.overloaded ? 'text-red-600' : 'text-indigo-600'}">${workload.overloaded}</div>
+        <div class="text-sm text-gray-500">Overloaded writer-weeks</div>
+      </div>
+      <div class="bg-white rounded-lg p-4 shadow-sm">
+        <div class="text-2xl font-bold text-indigo-600">${unassigned.articles}</div>
+        <div class="text-sm text-gray-500">Unassigned articles (${unassigned.words.toLocaleString()} words)</div>
+      </div>
+    </div>
+    ${can('admin') ? `
+      <div class="bg-white rounded-lg shadow-sm p-4 mb-4 flex flex-wrap items-center gap-3 text-sm">
+        <span class="text-gray-600">Add to the roster</span>
+        <select id="roster-add" class="border rounded px-2 py-1">
+          ${candidates.map(u => `<option value="${u.id}">${escapeHtml(u.name)} (${u.role})</option>`).join('') || '<option value="">Everyone who can write is on it</option>'}
+        </select>
+        <button onclick="addWriter()" class="text-indigo-600 hover:underline" ${candidates.length ? '' : 'disabled'}>Add writer</button>
+      </div>
+    ` : ''}
+    <div class="bg-white rounded-lg shadow-sm p-4 overflow-x-auto">
+      ${writers.length ? `
+        <table class="w-full text-sm">
+          <thead>
+            <tr class="text-left text-xs text-gray-500 border-b align-bottom">
+              <th class="py-2">Week</th>
+              ${writers.map(w => `
+                <th class="text-center px-2">
+                  <div class="text-gray-900 font-semibold">${escapeHtml(w.id === currentUser?.id ? `${w.name} (you)` : w.name)}</div>
+                  <div>${w.capacity ? `${w.capacity.toLocaleString()} words/week` : 'Not on the roster'}</div>
+                  ${can('admin') && w.on_roster ? `
+                    <button onclick="editWriterCapacity(${w.id})" class="text-indigo-600 hover:underline">Capacity</button>
+                    <button onclick="removeWriter(${w.id})" class="text-red-600 hover:underline ml-1">Remove</button>
+                  ` : ''}
+                </th>
+              `).join('')}
+            </tr>
+          </thead>
+          <tbody>
+            ${weeks.map(week => `
+              <tr class="border-b ${week === current_week ? 'bg-indigo-50' : ''}">
+                <td class="py-1 whitespace-nowrap">${weekLabel(week)}</td>
+                ${writers.map(w => cell(w, week)).join('')}
+              </tr>
+            `).join('') || `<tr><td colspan="${writers.length + 1}" class="py-2 text-gray-500">No scheduled articles are assigned yet</td></tr>`}
+          </tbody>
+          <tfoot>
+            <tr class="text-xs text-gray-600">
+              <td class="py-2 font-medium">Total</td>
+              ${writers.map(w => `
+                <td class="text-center">
+                  ${w.words.toLocaleString()} words · ${w.articles} article${w.articles === 1 ? '' : 's'}
+                  ${w.overloaded_weeks.length ? `<div class="text-red-600">Over capacity in week ${w.overloaded_weeks.join(', ')}</div>` : ''}
+                </td>
+              `).join('')}
+            </tr>
+          </tfoot>
+        </table>
+      ` : `<p class="text-sm text-gray-500">No writers yet. ${can('admin') ? 'Add people to the roster above, then assign articles to them in the editor.' : 'An admin can set up the writer roster.'}</p>`}
+    </div>
+  `;
+}
+
+// Users who may write and aren't on the roster yet (admins only)
+async function rosterCandidates() {
+  try {
+    const response = await fetch('/api/users', { credentials: 'same-origin' });
+    if (!response.ok) return [];
+    const onRoster = new Set(rosterWriters().map(w => w.id));
+    return (await response.json()).filter(u => roles.indexOf(u.role) >= roles.indexOf('writer') && !onRoster.has(u.id));
+  } catch (err) {
+    console.error('Failed to load users:', err);
+    return [];
+  }
+}
+
+function askCapacity(name, current) {
+  const input = prompt(`How many words can ${name} write per week?`, current || '');
+  if (input === null) return null;
+  const words = Number(input.replace(/[,\s]/g, ''));
+  if (!Number.isInteger(words) || words < 1 || words > 100000) {
+    alert('Enter a whole number of words, from 1 to 100000');
+    return null;
+  }
+  return words;
+}
+
+async function saveRoster(capacity) {
+  try {
+    const response = await fetch(planUrl('/settings'), {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      credentials: 'same-origin',
+      body: JSON.stringify({ writer_capacity: capacity })
+    });
+    const body = await response.json();
+    if (!response.ok) {
+      alert(describeError(body));
+      return;
+    }
+    planSettings = body;
+    render();
+  } catch (err) {
+    console.error('Failed to save the roster:', err);
+    alert('Could not save the writer roster');
+  }
+}
+
+function addWriter() {
+  const select = document.getElementById('roster-add');
+  if (!select.value) return;
+  const words = askCapacity(select.selectedOptions[0].textContent, 5000);
+  if (words) saveRoster({ ...planSettings.writer_capacity, [select.value]: words });
+}
+
+function editWriterCapacity(id) {
+  const words = askCapacity(writerName(id), planSettings.writer_capacity[id]);
+  if (words) saveRoster({ ...planSettings.writer_capacity, [id]: words });
+}
+
+function removeWriter(id) {
+  if (!confirm(`Take ${writerName(id)} off the roster? Articles already assigned to them stay assigned.`)) return;
+  const { [id]: removed, ...rest } = planSettings.writer_capacity;
+  saveRoster(rest);
+}
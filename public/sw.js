@@ -0,0 +1,37 @@
+// Keeps the app shell (page, scripts, styles) available offline: fetched from the
+// network when it answers, from the last good copy when it doesn't. API calls pass
+// straight through; app.js keeps its own offline copy of the articles and queues writes.
+const CACHE = 'speakflow-shell-v2';
+const PASS_THROUGH = ['/api/', '/auth', '/logout', '/calendar.ics', '/health'];
+
+self.addEventListener('install', () => self.skipWaiting());
+
+self.addEventListener('activate', event => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== 'GET') return;
+  if (url.origin === self.location.origin && PASS_THROUGH.some(prefix => url.pathname.startsWith(prefix))) return;
+
+  event.respondWith(
+    fetch(request)
+      .then(response => {
+        // Cross-origin scripts (Tailwind) come back opaque, which is still worth keeping.
+        // Signed out, the server answers with its lock page instead, which isn't.
+        const locked = response.headers.has('X-Access-Required');
+        if ((response.ok && !locked) || response.type === 'opaque') {
+          const copy = response.clone();
+          caches.open(CACHE).then(cache => cache.put(request, copy));
+        }
+        return response;
+      })
+      .catch(() => caches.match(request).then(cached => cached || Response.error()))
+  );
+});
@@ -1,12 +1,34 @@
 const express = require('express');
-const { Pool } = require('pg');
 const path = require('path');
 require('dotenv').config();
+const { createStore } = require('./lib/store');
+const auth = require('./lib/auth');
+const { recordChange, historyEntries, diffArticle } = require('./lib/history');
+const { defaultSettings, loadSettings, validateSettings } = require('./lib/settings');
+const { scheduledDate, toIsoDate } = require('./lib/schedule');
+const { buildCalendar } = require('./lib/ical');
+const { parseCsvRecords, toCsv } = require('./lib/csv');
+const { CSV_COLUMNS, planImport } = require('./lib/importer');
+const { parseArticleQuery } = require('./lib/query');
+const { ARTICLE_FIELDS, validateArticle, checkTransition } = require('./lib/validation');
+const { findOverlaps, findCollisions, findRelated } = require('./lib/overlap');
+const { FIXED_STATUSES, currentWeek, proposeSchedule } = require('./lib/scheduler');
+const { buildBrief } = require('./lib/brief');
+const { suggestLinks, articleLinks, linkGraph } = require('./lib/links');
+const { createEventHub } = require('./lib/events');
+const { buildAnalytics } = require('./lib/analytics');
+const { buildWorkload } = require('./lib/workload');
+const { EXPORT_STATUSES, validateDraft, draftStats, draftFiles } = require('./lib/drafts');
+const { createZip } = require('./lib/zip');
+const { firstMonday, validatePlan, nextYearPlan, shiftStartDate } = require('./lib/plans');
+const { readPerformanceCsv, matchPerformance, summarizePerformance } = require('./lib/performance');
+const { validateSavedView, compactFilters } = require('./lib/views');
+const { generateSecret, validateWebhook, articleEvents, createWebhookDispatcher } = require('./lib/webhooks');
 
 const app = express();
 app.use(express.json());
 
-// Auth token
+// Bootstrap admin login token (see ensureBootstrapAdmin)
 const CONTENT_TOKEN = process.env.CONTENT_TOKEN;
 
 // Cookie parser
@@ -22,245 +44,1427 @@ app.use((req, res, next) => {
   next();
 });
 
-// Auth route
-app.get('/auth', (req, res) => {
-  const { token } = req.query;
-  if (token === CONTENT_TOKEN) {
-    res.setHeader('Set-Cookie', `content_token=${token}; Path=/; HttpOnly; SameSite=Strict; Max-Age=31536000`);
+// Public origin for links we hand out (login links, calendar feeds)
+function baseUrl(req) {
+  return process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`;
+}
+
+function sessionCookie(value, maxAge) {
+  return `${auth.SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${maxAge}`;
+}
+
+// Auth route - exchanges a personal magic link for a session
+app.get('/auth', async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).send('Database not available');
+  }
+  try {
+    const sessionToken = await auth.login(store, req.query.token);
+    if (!sessionToken) {
+      return res.status(401).send('Invalid token');
+    }
+    res.setHeader('Set-Cookie', sessionCookie(sessionToken, auth.SESSION_MAX_AGE));
     res.redirect('/');
-  } else {
-    res.status(401).send('Invalid token');
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Sign-in failed');
   }
 });
 
-// Auth middleware
-function requireAuth(req, res, next) {
-  if (req.cookies.content_token === CONTENT_TOKEN) {
-    next();
-  } else {
-    res.send(`<!DOCTYPE html><html><head><title>Content Planner - Access Required</title>
+app.get('/logout', async (req, res) => {
+  const sessionToken = req.cookies[auth.SESSION_COOKIE];
+  if (sessionToken && store.ready) {
+    await store.deleteSession(auth.hashToken(sessionToken)).catch(err => console.error(err));
+  }
+  res.setHeader('Set-Cookie', sessionCookie('', 0));
+  res.redirect('/');
+});
+
+// Auth middleware - requires a signed-in user with at least `role`
+function requireAuth(role = 'viewer') {
+  return async (req, res, next) => {
+    try {
+      req.user = store.ready ? await auth.userForSession(store, req.cookies[auth.SESSION_COOKIE]) : null;
+    } catch (err) {
+      console.error(err);
+      req.user = null;
+    }
+    if (!req.user && req.originalUrl.startsWith('/api/')) {
+      return res.status(401).json({ error: 'Not signed in' });
+    }
+    if (!req.user) {
+      // Marked so the service worker doesn't keep it as the offline copy of the page it stands in for
+      res.set('X-Access-Required', '1');
+      return res.send(`<!DOCTYPE html><html><head><title>Content Planner - Access Required</title>
       <style>body{font-family:-apple-system,sans-serif;display:flex;justify-content:center;align-items:center;height:100vh;margin:0;background:#fafafa;}
       .container{text-align:center;}h1{font-size:48px;margin-bottom:16px;}p{color:#666;font-size:18px;}</style></head>
       <body><div class="container"><h1>🔒</h1><p>Access via your personal link.</p></div></body></html>`);
-  }
+    }
+    if (!auth.hasRole(req.user, role)) {
+      return res.status(403).json({ error: `Requires ${role} role` });
+    }
+    next();
+  };
 }
 
 // Health check (public)
 app.get('/health', (req, res) => {
-  res.json({ status: 'ok', dbReady });
+  res.json({ status: 'ok', dbReady: store.ready, storage: store.kind });
 });
 
 // Protected static files
 app.use(express.static(path.join(__dirname, 'public'), { index: false }));
-app.get('/', requireAuth, (req, res) => res.sendFile(path.join(__dirname, 'public', 'index.html')));
+app.get('/', requireAuth(), (req, res) => res.sendFile(path.join(__dirname, 'public', 'index.html')));
 
-// Database connection - with error handling
-let pool;
-let dbReady = false;
-
-if (process.env.DATABASE_URL) {
-  pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: { rejectUnauthorized: false }
-  });
-} else {
-  console.warn('WARNING: No DATABASE_URL set - running in memory-only mode');
+// Storage - Postgres when DATABASE_URL is set, otherwise memory/file
+const store = createStore();
+if (store.kind !== 'pg') {
+  console.warn(`WARNING: No DATABASE_URL set - using ${store.kind} storage${process.env.DATA_FILE ? ` (${process.env.DATA_FILE})` : ''}`);
 }
 
-// Initialize database
+// Plans, oldest first, and each plan's settings, cached so every article
+// response can derive its dates
+let plans = [];
+const planSettings = new Map();
+
+// Live updates for open tabs (GET /api/events)
+const events = createEventHub();
+
+// Outgoing webhooks; deliveries are queued in the store and retried from there
+const webhooks = createWebhookDispatcher({ store });
+
+// Initialize storage
 async function initDB() {
-  if (!pool) {
-    console.log('No database configured, skipping init');
-    return;
-  }
-  
   try {
-    const client = await pool.connect();
-    try {
-      await client.query(`
-        CREATE TABLE IF NOT EXISTS sf_articles (
-          id SERIAL PRIMARY KEY,
-          article_id VARCHAR(10) UNIQUE NOT NULL,
-          title TEXT NOT NULL,
-          keyword VARCHAR(255),
-          intent VARCHAR(100),
-          funnel VARCHAR(50),
-          description TEXT,
-          priority VARCHAR(20),
-          word_count INTEGER,
-          category VARCHAR(100),
-          week INTEGER,
-          status VARCHAR(50) DEFAULT 'planned',
-          notes TEXT,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-      console.log('Database initialized');
-      dbReady = true;
-    } finally {
-      client.release();
-    }
+    await store.init();
+    console.log('Database initialized');
+    await auth.ensureBootstrapAdmin(store, CONTENT_TOKEN);
+    await loadPlans();
+    webhooks.start();
   } catch (err) {
     console.error('Database init failed:', err.message);
     console.log('App will still run, but database features will be unavailable');
   }
 }
 
+async function loadPlans() {
+  plans = await store.listPlans();
+  for (const plan of plans) {
+    planSettings.set(plan.id, await loadSettings(store, plan.id));
+  }
+}
+
+function settingsFor(planId) {
+  return planSettings.get(planId) || defaultSettings();
+}
+
+function findPlan(slugOrId) {
+  return plans.find(p => p.slug === slugOrId || String(p.id) === slugOrId) || null;
+}
+
+// Sets req.plan and req.settings: the plan named in the URL, or the oldest one
+// (the plan that existed before there were several)
+function resolvePlan(req, res, next) {
+  if (!store.ready) {
+    return next();
+  }
+  req.plan = req.params.plan === undefined ? plans[0] : findPlan(req.params.plan);
+  if (!req.plan) {
+    return res.status(404).json({ error: 'Plan not found' });
+  }
+  req.settings = settingsFor(req.plan.id);
+  next();
+}
+
+function validationFailed(res, details) {
+  return res.status(400).json({ error: 'Validation failed', details });
+}
+
+// Adds fields derived from plan settings to an article row
+function present(article) {
+  return { ...article, scheduled_date: scheduledDate(article, settingsFor(article.plan_id)) };
+}
+
+// The version a write expects the article to be at: If-Match: "<version>" (as sent back
+// in ETag), or a `version` field. null means no precondition, NaN a malformed one.
+function expectedVersion(req) {
+  const header = req.get('If-Match');
+  if (header && header.trim() !== '*') {
+    const match = header.trim().match(/^(?:W\/)?"(\d+)"$/);
+    return match ? Number(match[1]) : NaN;
+  }
+  const version = req.body?.version;
+  return version === undefined || version === null ? null : Number.isInteger(version) ? version : NaN;
+}
+
+function articleEtag(article) {
+  return `"${article.version}"`;
+}
+
+// Someone else wrote first: hand back their copy so the client can merge or reapply
+function conflict(res, current) {
+  return res.status(409).json({
+    error: current ? 'Article was changed by someone else' : 'Article no longer exists',
+    current: current && present(current)
+  });
+}
+
+// A draft as the editor gets it: version 0 and an empty body when there is none yet
+function presentDraft(article, draft) {
+  const body = draft ? draft.body : '';
+  return {
+    article_id: article.id,
+    body,
+    version: draft ? draft.version : 0,
+    updated_at: draft ? draft.updated_at : null,
+    updated_by: draft ? draft.user_name : null,
+    stats: draftStats(body, article)
+  };
+}
+
+// Tells every open tab about an article write; deletes only carry the ids
+function broadcastArticle(user, action, article) {
+  events.publish('article', {
+    action,
+    article: action === 'delete' ? { id: article.id, article_id: article.article_id } : present(article),
+    user: user && { id: user.id, name: user.name }
+  }, article.plan_id);
+}
+
+// For writes touching many articles at once: tabs re-fetch instead
+function broadcastReload(planId, user, reason) {
+  events.publish('reload', { reason, user: user && { id: user.id, name: user.name } }, planId);
+}
+
+// Queues the webhooks an article write raises (before is null for creates, after for
+// deletes). Never holds up or fails the write itself.
+function notifyWebhooks(plan, user, before, after) {
+  const data = {
+    article: present(after || before),
+    ...(before && after && { changes: diffArticle(before, after) }),
+    user: user && { id: user.id, name: user.name }
+  };
+  Promise.all(articleEvents(before, after).map(event => webhooks.dispatch(plan, event, data)))
+    .catch(err => console.error('Could not queue webhooks:', err.message));
+}
+
 // Protected API Routes
-app.get('/api/articles', requireAuth, async (req, res) => {
-  if (!pool || !dbReady) {
+
+// Routes for one plan's articles and settings; see resolvePlan
+const planApi = express.Router({ mergeParams: true });
+
+// Filters: category, priority, funnel, status, week_from, week_to, assignee (a user id
+// or "me"), q (ranked search).
+// Paging: sort=<field> or -<field>, limit, cursor; the next page's cursor comes back in
+// the X-Next-Cursor header (and a Link rel="next" URL). Without limit, returns everything.
+planApi.get('/articles', requireAuth(), async (req, res) => {
+  if (!store.ready) {
     return res.json([]);
   }
+  const { query, errors } = parseArticleQuery(req.query, { userId: req.user.id });
+  if (errors) {
+    return validationFailed(res, errors);
+  }
+  try {
+    const { articles, nextCursor } = await store.queryArticles(req.plan.id, query);
+    if (nextCursor) {
+      const next = new URLSearchParams({ ...req.query, cursor: nextCursor });
+      res.setHeader('X-Next-Cursor', nextCursor);
+      res.setHeader('Link', `<${req.baseUrl}${req.path}?${next}>; rel="next"`);
+    }
+    res.json(articles.map(present));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Export the filtered article set (same filters as /api/articles) as CSV or JSON
+planApi.get('/articles/export', requireAuth(), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  const format = req.query.format === 'json' ? 'json' : 'csv';
+  const { query, errors } = parseArticleQuery({ ...req.query, limit: undefined, cursor: undefined }, { userId: req.user.id });
+  if (errors) {
+    return validationFailed(res, errors);
+  }
+  try {
+    const articles = (await store.queryArticles(req.plan.id, query)).articles.map(present);
+    const filename = `${req.plan.slug}-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    if (format === 'json') {
+      return res.json(articles);
+    }
+    res.type('text/csv').send(toCsv(articles, [...CSV_COLUMNS, 'scheduled_date', 'published_url', 'published_date', 'assignee_id']));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// CSV import - always returns the row-by-row report; only writes without ?dry_run and when no row has errors
+planApi.post('/articles/import', requireAuth('editor'), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return res.status(400).json({ error: 'Send the CSV file as the request body (Content-Type: text/csv)' });
+  }
+  const dryRun = ['1', 'true'].includes(req.query.dry_run);
   try {
-    const result = await pool.query('SELECT * FROM sf_articles ORDER BY week, article_id');
-    res.json(result.rows);
+    const existing = await store.listArticles(req.plan.id);
+    const { report, writes } = planImport(existing, parseCsvRecords(req.body), {
+      // New rows start as planned, so their status goes through the workflow too
+      validate: (merged, before) => {
+        const errors = validateArticle(merged, req.settings) || {};
+        if (!errors.status) {
+          const transitionError = checkTransition(before && before.status, merged.status, req.settings);
+          if (transitionError) errors.status = transitionError;
+        }
+        return Object.entries(errors).map(([field, msg]) => `${field} ${msg}`);
+      },
+      warn: merged => findCollisions(merged, existing).map(w => w.message)
+    });
+    if (report.errors || report.summary.error > 0) {
+      return res.status(dryRun ? 200 : 400).json({ ...report, committed: false });
+    }
+    if (dryRun) {
+      return res.json({ ...report, committed: false });
+    }
+    const rows = await store.upsertArticles(req.plan.id, writes);
+    const byArticleId = new Map(existing.map(a => [a.article_id, a]));
+    const entries = rows.flatMap(row => {
+      const before = byArticleId.get(row.article_id);
+      return historyEntries(req.user, before, row, before ? 'import' : 'create');
+    });
+    if (entries.length > 0) {
+      await store.addHistory(entries);
+    }
+    broadcastReload(req.plan.id, req.user, 'import');
+    rows.forEach(row => notifyWebhooks(req.plan, req.user, byArticleId.get(row.article_id) || null, row));
+    res.json({ ...report, committed: true });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: err.message });
   }
 });
 
-app.get('/api/articles/:id', requireAuth, async (req, res) => {
-  if (!pool || !dbReady) {
+planApi.get('/articles/:id', requireAuth(), async (req, res) => {
+  if (!store.ready) {
     return res.status(503).json({ error: 'Database not available' });
   }
   try {
-    const result = await pool.query('SELECT * FROM sf_articles WHERE id = $1', [req.params.id]);
-    if (result.rows.length === 0) {
+    const article = await store.getArticle(req.plan.id, req.params.id);
+    if (!article) {
       return res.status(404).json({ error: 'Article not found' });
     }
-    res.json(result.rows[0]);
+    res.set('ETag', articleEtag(article));
+    res.json(present(article));
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.post('/api/articles', requireAuth, async (req, res) => {
-  if (!pool || !dbReady) {
+planApi.post('/articles', requireAuth('editor'), async (req, res) => {
+  if (!store.ready) {
     return res.status(503).json({ error: 'Database not available' });
   }
-  const { article_id, title, keyword, intent, funnel, description, priority, word_count, category, week, status, notes } = req.body;
+  const errors = validateArticle(req.body, req.settings);
+  if (errors) {
+    return validationFailed(res, errors);
+  }
+  const version = expectedVersion(req);
+  if (Number.isNaN(version)) {
+    return validationFailed(res, { version: 'must be a whole number' });
+  }
+  const { article_id, title, keyword, intent, funnel, description, priority, word_count, category, week, publish_day, status, notes } = req.body;
   try {
-    const result = await pool.query(
-      `INSERT INTO sf_articles (article_id, title, keyword, intent, funnel, description, priority, word_count, category, week, status, notes)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-       ON CONFLICT (article_id) DO UPDATE SET
-         title = EXCLUDED.title,
-         keyword = EXCLUDED.keyword,
-         intent = EXCLUDED.intent,
-         funnel = EXCLUDED.funnel,
-         description = EXCLUDED.description,
-         priority = EXCLUDED.priority,
-         word_count = EXCLUDED.word_count,
-         category = EXCLUDED.category,
-         week = EXCLUDED.week,
-         status = COALESCE(EXCLUDED.status, sf_articles.status),
-         notes = COALESCE(EXCLUDED.notes, sf_articles.notes),
-         updated_at = CURRENT_TIMESTAMP
-       RETURNING *`,
-      [article_id, title, keyword, intent, funnel, description, priority, word_count, category, week, status || 'planned', notes]
-    );
-    res.json(result.rows[0]);
+    const before = await store.getArticleByArticleId(req.plan.id, article_id);
+    if (version != null && before?.version !== version) {
+      return conflict(res, before);
+    }
+    // If-None-Match: * only creates, never overwrites (e.g. a create replayed after being offline)
+    if (before && req.get('If-None-Match')?.trim() === '*') {
+      return res.status(409).json({ error: `Article ${article_id} already exists`, current: present(before) });
+    }
+    const article = await store.upsertArticle(req.plan.id, {
+      article_id, title, keyword, intent, funnel, description, priority, word_count, category, week, publish_day,
+      status: status || 'planned', notes
+    }, { version });
+    if (!article) {
+      return conflict(res, await store.getArticleByArticleId(req.plan.id, article_id));
+    }
+    await recordChange(store, req.user, before, article, before ? 'update' : 'create');
+    broadcastArticle(req.user, before ? 'update' : 'create', article);
+    notifyWebhooks(req.plan, req.user, before, article);
+    // Keyword/title collisions don't block the write, but the caller should see them
+    const warnings = findCollisions(article, await store.listArticles(req.plan.id));
+    res.set('ETag', articleEtag(article));
+    res.json({ ...present(article), warnings });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: err.message });
   }
 });
 
-app.patch('/api/articles/:id', requireAuth, async (req, res) => {
-  if (!pool || !dbReady) {
+// Writers move articles along; changing what an article is about takes an editor
+const WORKFLOW_FIELDS = ['status', 'notes', 'week', 'publish_day', 'published_url', 'published_date'];
+
+planApi.patch('/articles/:id', requireAuth('writer'), async (req, res) => {
+  if (!store.ready) {
     return res.status(503).json({ error: 'Database not available' });
   }
-  const { status, notes, week } = req.body;
+  // Fields left out stay as they are; null or '' clears one
+  const changes = {};
+  ARTICLE_FIELDS
+    .filter(field => req.body[field] !== undefined)
+    .forEach(field => { changes[field] = req.body[field] === '' ? null : req.body[field]; });
+  const version = expectedVersion(req);
+  const errors = {
+    ...validateArticle(changes, req.settings, { partial: true }),
+    ...(Number.isNaN(version) && { version: 'must be a whole number' })
+  };
+  if (Object.keys(errors).length > 0) {
+    return validationFailed(res, errors);
+  }
+  const restricted = Object.keys(changes).filter(field => !WORKFLOW_FIELDS.includes(field));
+  if (restricted.length > 0 && !auth.hasRole(req.user, 'editor')) {
+    return res.status(403).json({ error: `Requires editor role to change ${restricted.join(', ')}` });
+  }
+  if (changes.assignee_id != null && !(String(changes.assignee_id) in req.settings.writer_capacity)) {
+    return validationFailed(res, { assignee_id: "is not on this plan's writer roster" });
+  }
   try {
-    const result = await pool.query(
-      `UPDATE sf_articles SET 
-        status = COALESCE($1, status),
-        notes = COALESCE($2, notes),
-        week = COALESCE($3, week),
-        updated_at = CURRENT_TIMESTAMP
-       WHERE id = $4 RETURNING *`,
-      [status, notes, week, req.params.id]
-    );
-    if (result.rows.length === 0) {
+    const before = await store.getArticle(req.plan.id, req.params.id);
+    if (!before) {
       return res.status(404).json({ error: 'Article not found' });
     }
-    res.json(result.rows[0]);
+    if (version != null && before.version !== version) {
+      return conflict(res, before);
+    }
+    const transitionError = checkTransition(before.status, changes.status, req.settings);
+    if (transitionError) {
+      return validationFailed(res, { status: transitionError });
+    }
+    // Publishing stamps today's date unless one is given or already set
+    if (changes.status === 'published' && before.status !== 'published' &&
+        changes.published_date === undefined && !before.published_date) {
+      changes.published_date = toIsoDate(new Date());
+    }
+    if (changes.article_id && changes.article_id !== before.article_id &&
+        await store.getArticleByArticleId(req.plan.id, changes.article_id)) {
+      return res.status(409).json({ error: `Article ${changes.article_id} already exists` });
+    }
+    const article = await store.updateArticle(req.plan.id, req.params.id, changes, { version });
+    if (!article) {
+      // Gone, or written by someone else since we read it
+      const current = await store.getArticle(req.plan.id, req.params.id);
+      return current ? conflict(res, current) : res.status(404).json({ error: 'Article not found' });
+    }
+    await recordChange(store, req.user, before, article, 'update');
+    broadcastArticle(req.user, 'update', article);
+    notifyWebhooks(req.plan, req.user, before, article);
+    const warnings = changes.title !== undefined || changes.keyword !== undefined
+      ? findCollisions(article, await store.listArticles(req.plan.id))
+      : [];
+    // Written should mean there is something to read
+    if (EXPORT_STATUSES.includes(changes.status) && changes.status !== before.status &&
+        !await store.getDraft(req.plan.id, article.id)) {
+      warnings.push({ type: 'no_draft', message: `${article.article_id} is now ${article.status} but has no draft in the planner` });
+    }
+    res.set('ETag', articleEtag(article));
+    res.json({ ...present(article), warnings });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-app.delete('/api/articles/:id', requireAuth, async (req, res) => {
-  if (!pool || !dbReady) {
+planApi.delete('/articles/:id', requireAuth('editor'), async (req, res) => {
+  if (!store.ready) {
     return res.status(503).json({ error: 'Database not available' });
   }
+  const version = expectedVersion(req);
+  if (Number.isNaN(version)) {
+    return validationFailed(res, { version: 'must be a whole number' });
+  }
   try {
-    await pool.query('DELETE FROM sf_articles WHERE id = $1', [req.params.id]);
+    const before = await store.getArticle(req.plan.id, req.params.id);
+    if (before && version != null && before.version !== version) {
+      return conflict(res, before);
+    }
+    if (before && await store.deleteArticle(req.plan.id, req.params.id)) {
+      await recordChange(store, req.user, before, null, 'delete');
+      broadcastArticle(req.user, 'delete', before);
+      notifyWebhooks(req.plan, req.user, before, null);
+    }
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// Change history, newest first
+planApi.get('/articles/:id/history', requireAuth(), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  try {
+    if (!await store.getArticle(req.plan.id, req.params.id)) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+    res.json(await store.listHistory(req.params.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Markdown writing brief, as a download
+planApi.get('/articles/:id/brief', requireAuth(), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  try {
+    const article = await store.getArticle(req.plan.id, req.params.id);
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+    const related = findRelated(article, await store.listArticles(req.plan.id));
+    const brief = buildBrief(article, { related, scheduledDate: scheduledDate(article, req.settings) });
+    res.setHeader('Content-Disposition', `attachment; filename="brief-${article.article_id}.md"`);
+    res.type('text/markdown').send(brief);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// The article's Markdown draft, with its word count and keyword checks
+planApi.get('/articles/:id/draft', requireAuth(), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  try {
+    const article = await store.getArticle(req.plan.id, req.params.id);
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+    const draft = await store.getDraft(req.plan.id, article.id);
+    res.set('ETag', `"${draft ? draft.version : 0}"`);
+    res.json(presentDraft(article, draft));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Saves the whole draft, sent as the request body (Content-Type: text/markdown). If-Match
+// is the draft version the editor loaded, "0" when there was none; a newer save by
+// someone else answers 409 with theirs.
+planApi.put('/articles/:id/draft', requireAuth('writer'), express.text({ type: ['text/markdown', 'text/plain'], limit: '2mb' }), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  if (typeof req.body !== 'string') {
+    return res.status(400).json({ error: 'Send the draft as the request body (Content-Type: text/markdown)' });
+  }
+  const version = expectedVersion(req);
+  const errors = {
+    ...validateDraft(req.body),
+    ...(Number.isNaN(version) && { version: 'must be a whole number' })
+  };
+  if (Object.keys(errors).length > 0) {
+    return validationFailed(res, errors);
+  }
+  try {
+    const article = await store.getArticle(req.plan.id, req.params.id);
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+    const current = await store.getDraft(req.plan.id, article.id);
+    const draftConflict = latest => res.status(409).json({ error: 'Draft was changed by someone else', current: presentDraft(article, latest) });
+    if (version != null && (current ? current.version : 0) !== version) {
+      return draftConflict(current);
+    }
+    const body = req.body;
+    const saved = await store.saveDraft(req.plan.id, article.id, {
+      body,
+      word_count: draftStats(body, article).words,
+      updated_by: req.user.id
+    }, { version: current ? version : null });
+    if (!saved) {
+      return draftConflict(await store.getDraft(req.plan.id, article.id));
+    }
+    res.set('ETag', `"${saved.version}"`);
+    res.json(presentDraft(article, { ...saved, user_name: req.user.name }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Written and published drafts as Markdown files with front matter, ready for a static
+// site generator: a zip, or with format=json { files: [{ name, content }], missing }
+// where missing lists written/published articles without a draft
+planApi.get('/drafts/export', requireAuth(), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  try {
+    const [articles, drafts] = await Promise.all([store.listArticles(req.plan.id), store.listDrafts(req.plan.id)]);
+    const files = draftFiles(articles.map(present), drafts);
+    const exported = new Set(files.map(f => f.article_id));
+    const missing = articles
+      .filter(a => EXPORT_STATUSES.includes(a.status) && !exported.has(a.article_id))
+      .map(a => a.article_id);
+    if (req.query.format === 'json') {
+      return res.json({ files, missing });
+    }
+    res.setHeader('Content-Disposition', `attachment; filename="${req.plan.slug}-drafts.zip"`);
+    res.type('application/zip').send(createZip(files));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Links to and from one article, plus suggested new outbound links
+planApi.get('/articles/:id/links', requireAuth(), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  try {
+    const article = await store.getArticle(req.plan.id, req.params.id);
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+    const [articles, links] = await Promise.all([store.listArticles(req.plan.id), store.listLinks(req.plan.id)]);
+    res.json({
+      ...articleLinks(article, articles, links),
+      suggestions: suggestLinks(article, articles, links, req.settings)
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Bulk import endpoint
-app.post('/api/articles/bulk', requireAuth, async (req, res) => {
-  if (!pool || !dbReady) {
+planApi.post('/articles/bulk', requireAuth('editor'), async (req, res) => {
+  if (!store.ready) {
     return res.status(503).json({ error: 'Database not available' });
   }
   const { articles } = req.body;
-  const client = await pool.connect();
-  try {
-    await client.query('BEGIN');
-    for (const article of articles) {
-      await client.query(
-        `INSERT INTO sf_articles (article_id, title, keyword, intent, funnel, description, priority, word_count, category, week)
-         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-         ON CONFLICT (article_id) DO UPDATE SET
-           title = EXCLUDED.title,
-           keyword = EXCLUDED.keyword,
-           intent = EXCLUDED.intent,
-           funnel = EXCLUDED.funnel,
-           description = EXCLUDED.description,
-           priority = EXCLUDED.priority,
-           word_count = EXCLUDED.word_count,
-           category = EXCLUDED.category,
-           week = EXCLUDED.week,
-           updated_at = CURRENT_TIMESTAMP`,
-        [article.id, article.title, article.keyword, article.intent, article.funnel, article.description, article.priority, article.wordCount, article.category, article.week]
-      );
-    }
-    await client.query('COMMIT');
-    res.json({ success: true, count: articles.length });
-  } catch (err) {
-    await client.query('ROLLBACK');
+  if (!Array.isArray(articles)) {
+    return validationFailed(res, { articles: 'must be an array' });
+  }
+  // Seed-shaped rows use id/wordCount for article_id/word_count
+  const invalid = articles
+    .map((a, index) => ({ index, article_id: a?.id ?? null, errors: validateArticle({ ...a, article_id: a?.id, word_count: a?.wordCount }, req.settings) }))
+    .filter(r => r.errors);
+  if (invalid.length > 0) {
+    return validationFailed(res, invalid);
+  }
+  try {
+    const existing = new Map((await store.listArticles(req.plan.id)).map(a => [a.article_id, a]));
+    const rows = await store.bulkImport(req.plan.id, articles);
+    const entries = rows.flatMap(row => {
+      const before = existing.get(row.article_id);
+      return historyEntries(req.user, before, row, before ? 'import' : 'create');
+    });
+    if (entries.length > 0) {
+      await store.addHistory(entries);
+    }
+    broadcastReload(req.plan.id, req.user, 'import');
+    rows.forEach(row => notifyWebhooks(req.plan, req.user, existing.get(row.article_id) || null, row));
+    const all = await store.listArticles(req.plan.id);
+    const warnings = rows
+      .map(row => ({ article_id: row.article_id, warnings: findCollisions(row, all).map(w => w.message) }))
+      .filter(w => w.warnings.length);
+    res.json({ success: true, count: rows.length, warnings });
+  } catch (err) {
     console.error(err);
     res.status(500).json({ error: err.message });
-  } finally {
-    client.release();
   }
 });
 
 // Stats endpoint
-app.get('/api/stats', requireAuth, async (req, res) => {
-  if (!pool || !dbReady) {
+planApi.get('/stats', requireAuth(), async (req, res) => {
+  if (!store.ready) {
     return res.json({ total: 0, high_priority: 0, medium_priority: 0, low_priority: 0 });
   }
   try {
-    const result = await pool.query(`
-      SELECT 
-        COUNT(*) as total,
-        COUNT(*) FILTER (WHERE priority = 'High') as high_priority,
-        COUNT(*) FILTER (WHERE priority = 'Medium') as medium_priority,
-        COUNT(*) FILTER (WHERE priority = 'Low') as low_priority,
-        COUNT(*) FILTER (WHERE status = 'planned') as planned,
-        COUNT(*) FILTER (WHERE status = 'in_progress') as in_progress,
-        COUNT(*) FILTER (WHERE status = 'written') as written,
-        COUNT(*) FILTER (WHERE status = 'published') as published
-      FROM sf_articles
-    `);
-    res.json(result.rows[0]);
+    res.json(await store.getStats(req.plan.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Velocity, burndown, completion by category and funnel stage, and slipped articles
+planApi.get('/analytics', requireAuth(), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  try {
+    const [articles, statusChanges] = await Promise.all([store.listArticles(req.plan.id), store.listStatusChanges(req.plan.id)]);
+    res.json(buildAnalytics(articles, statusChanges, req.settings));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Assigned words per writer per week against their weekly capacity, with overloaded weeks flagged
+planApi.get('/workload', requireAuth(), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  try {
+    const [articles, users] = await Promise.all([store.listArticles(req.plan.id), store.listUsers()]);
+    res.json(buildWorkload(articles, users, req.settings));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Search performance per article from the latest import: totals, target keyword
+// rankings, High-priority pieces that underperform, and rows no article matched
+planApi.get('/performance', requireAuth(), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  try {
+    const [articles, rows] = await Promise.all([store.listArticles(req.plan.id), store.listPerformance(req.plan.id)]);
+    res.json(summarizePerformance(articles.map(present), rows));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Performance CSV import (query, page, clicks, impressions, position). Replaces the
+// previous import; like the article import, ?dry_run only reports and errors block the write.
+planApi.post('/performance/import', requireAuth('editor'), express.text({ type: ['text/csv', 'text/plain'], limit: '20mb' }), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  if (typeof req.body !== 'string' || !req.body.trim()) {
+    return res.status(400).json({ error: 'Send the CSV file as the request body (Content-Type: text/csv)' });
+  }
+  const dryRun = ['1', 'true'].includes(req.query.dry_run);
+  try {
+    const { rows = [], rowErrors = [], errors } = readPerformanceCsv(parseCsvRecords(req.body));
+    const matched = matchPerformance(rows, await store.listArticles(req.plan.id));
+    const count = by => matched.filter(r => r.matched_by === by).length;
+    const report = {
+      summary: { rows: matched.length, url: count('url'), keyword: count('keyword'), unmatched: count(null), error: rowErrors.length },
+      rows: rowErrors,
+      unmatched: matched.filter(r => !r.matched_by).slice(0, 20).map(({ query, page }) => ({ query, page })),
+      ...(errors && { errors })
+    };
+    if (report.errors || report.summary.error > 0) {
+      return res.status(dryRun ? 200 : 400).json({ ...report, committed: false });
+    }
+    if (dryRun) {
+      return res.json({ ...report, committed: false });
+    }
+    await store.replacePerformance(req.plan.id, matched);
+    res.json({ ...report, committed: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Keyword cannibalization and near-duplicate titles across the plan
+planApi.get('/analysis/overlaps', requireAuth(), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  try {
+    res.json({ pairs: findOverlaps(await store.listArticles(req.plan.id)) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Internal link graph: every article and link, orphans, and published
+// articles with no inbound links from other published ones
+planApi.get('/links/graph', requireAuth(), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  try {
+    const [articles, links] = await Promise.all([store.listArticles(req.plan.id), store.listLinks(req.plan.id)]);
+    res.json(linkGraph(articles, links, req.settings));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+planApi.post('/links', requireAuth('writer'), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  const { from_id, to_id, anchor_text } = req.body;
+  const errors = {};
+  if (!Number.isInteger(from_id)) errors.from_id = 'must be an article id';
+  if (!Number.isInteger(to_id)) errors.to_id = 'must be an article id';
+  else if (to_id === from_id) errors.to_id = 'must be a different article';
+  if (anchor_text != null && (typeof anchor_text !== 'string' || anchor_text.length > 255)) {
+    errors.anchor_text = 'must be a string of at most 255 characters';
+  }
+  if (Object.keys(errors).length) {
+    return validationFailed(res, errors);
+  }
+  try {
+    const [from, to] = await Promise.all([store.getArticle(req.plan.id, from_id), store.getArticle(req.plan.id, to_id)]);
+    if (!from || !to) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+    const link = await store.addLink({ from_id, to_id, anchor_text: anchor_text || null, created_by: req.user.id });
+    if (!link) {
+      return res.status(409).json({ error: `${from.article_id} already links to ${to.article_id}` });
+    }
+    res.json(link);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+planApi.delete('/links/:id', requireAuth('writer'), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  try {
+    await store.deleteLink(req.plan.id, req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Schedule balancer - a proposed week for every unpublished article, not yet applied.
+// Optional start_week (defaults to the current plan week) and posts_per_week overrides.
+planApi.get('/schedule/proposal', requireAuth(), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  const options = {};
+  const errors = {};
+  [['start_week', 'startWeek', req.settings.plan_weeks], ['posts_per_week', 'postsPerWeek', 20]].forEach(([param, key, max]) => {
+    if (req.query[param] === undefined || req.query[param] === '') return;
+    const value = Number(req.query[param]);
+    if (!Number.isInteger(value) || value < 1 || value > max) errors[param] = `must be a whole number from 1 to ${max}`;
+    else options[key] = value;
+  });
+  if (Object.keys(errors).length) {
+    return validationFailed(res, errors);
+  }
+  try {
+    const proposal = proposeSchedule(await store.listArticles(req.plan.id), req.settings, options);
+    res.json({ ...proposal, current_week: currentWeek(req.settings) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Apply (a reviewed subset of) a proposal: { changes: [{ id, week }] }
+planApi.post('/schedule/apply', requireAuth('editor'), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  const { changes } = req.body;
+  if (!Array.isArray(changes)) {
+    return validationFailed(res, { changes: 'must be an array' });
+  }
+  const invalid = changes
+    .map((change, index) => {
+      const errors = { ...validateArticle({ week: change?.week }, req.settings, { partial: true }) };
+      if (!Number.isInteger(change?.id)) errors.id = 'must be an article id';
+      if (!Number.isInteger(change?.week)) errors.week = errors.week || 'is required';
+      return { index, id: change?.id ?? null, errors };
+    })
+    .filter(r => Object.keys(r.errors).length);
+  if (invalid.length > 0) {
+    return validationFailed(res, invalid);
+  }
+  try {
+    const updated = [];
+    const skipped = [];
+    for (const { id, week } of changes) {
+      const before = await store.getArticle(req.plan.id, id);
+      // Someone may have started or published it since the proposal was made
+      if (!before || FIXED_STATUSES.includes(before.status)) {
+        skipped.push(id);
+        continue;
+      }
+      const article = await store.updateArticle(req.plan.id, id, { week });
+      // Or deleted since we read it
+      if (!article) {
+        skipped.push(id);
+        continue;
+      }
+      await recordChange(store, req.user, before, article, 'update');
+      broadcastArticle(req.user, 'update', article);
+      notifyWebhooks(req.plan, req.user, before, article);
+      updated.push(present(article));
+    }
+    res.json({ success: true, updated, skipped });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Plan settings
+planApi.get('/settings', requireAuth(), (req, res) => {
+  res.json(req.settings || defaultSettings());
+});
+
+planApi.patch('/settings', requireAuth('admin'), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  const errors = validateSettings(req.body);
+  if (errors) {
+    return res.status(400).json({ error: 'Invalid settings', details: errors });
+  }
+  try {
+    // The roster can only name people who are allowed to write
+    if (req.body.writer_capacity) {
+      const users = new Map((await store.listUsers()).map(u => [String(u.id), u]));
+      const ineligible = Object.keys(req.body.writer_capacity).filter(id => !auth.hasRole(users.get(id), 'writer'));
+      if (ineligible.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid settings',
+          details: { writer_capacity: `user ${ineligible.join(', ')} ${ineligible.length === 1 ? 'is' : 'are'} not a writer, editor or admin` }
+        });
+      }
+    }
+    await store.setSettings(req.plan.id, req.body);
+    const settings = await loadSettings(store, req.plan.id);
+    planSettings.set(req.plan.id, settings);
+    events.publish('settings', settings, req.plan.id);
+    res.json(settings);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Saved views: the user's own filter bar presets and the ones others shared
+planApi.get('/views', requireAuth(), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  try {
+    res.json(await store.listSavedViews(req.plan.id, req.user.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// A name the user already has a view under in this plan
+async function takenViewName(planId, user, name, exceptId = null) {
+  const views = await store.listSavedViews(planId, user.id);
+  return views.some(v => v.user_id === user.id && v.name === name && v.id !== exceptId);
+}
+
+// { name, filters: { search, category, priority, funnel, status, sort, view }, shared? }
+planApi.post('/views', requireAuth(), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  const { name, filters, shared } = req.body;
+  const errors = validateSavedView({ name, filters, shared });
+  if (errors) {
+    return validationFailed(res, errors);
+  }
+  try {
+    if (await takenViewName(req.plan.id, req.user, name.trim())) {
+      return res.status(409).json({ error: `You already have a view named ${name.trim()}` });
+    }
+    const view = await store.createSavedView(req.plan.id, {
+      user_id: req.user.id,
+      name: name.trim(),
+      filters: compactFilters(filters),
+      shared: shared ?? false
+    });
+    res.status(201).json({ ...view, user_name: req.user.name });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Views can only be changed or deleted by whoever saved them, or an admin
+async function ownedView(req, res) {
+  const view = await store.getSavedView(req.plan.id, req.params.id);
+  if (!view || (view.user_id !== req.user.id && !view.shared)) {
+    res.status(404).json({ error: 'View not found' });
+    return null;
+  }
+  if (view.user_id !== req.user.id && !auth.hasRole(req.user, 'admin')) {
+    res.status(403).json({ error: 'Only whoever saved a view can change it' });
+    return null;
+  }
+  return view;
+}
+
+planApi.patch('/views/:id', requireAuth(), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  const { name, filters, shared } = req.body;
+  const errors = validateSavedView({ name, filters, shared }, { partial: true });
+  if (errors) {
+    return validationFailed(res, errors);
+  }
+  try {
+    const view = await ownedView(req, res);
+    if (!view) return;
+    if (name !== undefined && await takenViewName(req.plan.id, { id: view.user_id }, name.trim(), view.id)) {
+      return res.status(409).json({ error: `There is already a view named ${name.trim()}` });
+    }
+    const updated = await store.updateSavedView(req.plan.id, view.id, {
+      name: name?.trim(),
+      filters: filters && compactFilters(filters),
+      shared
+    });
+    res.json(updated);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+planApi.delete('/views/:id', requireAuth(), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  try {
+    const view = await ownedView(req, res);
+    if (!view) return;
+    await store.deleteSavedView(req.plan.id, view.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Outgoing webhooks (admin only). Each delivery is a POST of
+// { event, created_at, plan, data: { article, changes?, user } } signed with the
+// webhook's secret (see lib/webhooks.js); failed ones are retried with backoff.
+planApi.get('/webhooks', requireAuth('admin'), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  try {
+    res.json(await store.listWebhooks(req.plan.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// { url, events, secret?, active? }; a secret is generated when none is given
+planApi.post('/webhooks', requireAuth('admin'), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  const { url, events: subscribed, secret, active } = req.body;
+  const errors = validateWebhook({ url, events: subscribed, secret, active });
+  if (errors) {
+    return validationFailed(res, errors);
+  }
+  try {
+    const hook = await store.createWebhook(req.plan.id, {
+      url,
+      events: [...new Set(subscribed)],
+      secret: secret || generateSecret(),
+      active: active ?? true
+    });
+    res.status(201).json(hook);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+planApi.patch('/webhooks/:id', requireAuth('admin'), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  const { url, events: subscribed, secret, active } = req.body;
+  const errors = validateWebhook({ url, events: subscribed, secret, active }, { partial: true });
+  if (errors) {
+    return validationFailed(res, errors);
+  }
+  try {
+    const hook = await store.updateWebhook(req.plan.id, req.params.id, {
+      url,
+      events: subscribed && [...new Set(subscribed)],
+      secret,
+      active
+    });
+    if (!hook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    // Reactivated: anything it had queued is due again
+    if (active) webhooks.deliverDue();
+    res.json(hook);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+planApi.delete('/webhooks/:id', requireAuth('admin'), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  try {
+    await store.deleteWebhook(req.plan.id, req.params.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Delivery log, newest first: one row per queued event, with its latest attempt
+planApi.get('/webhooks/:id/deliveries', requireAuth('admin'), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  try {
+    const hook = await store.getWebhook(req.plan.id, req.params.id);
+    if (!hook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.json(await store.listDeliveries(hook.id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Sends a `ping` right away (once, no retries) and returns how it went
+planApi.post('/webhooks/:id/test', requireAuth('admin'), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  try {
+    const hook = await store.getWebhook(req.plan.id, req.params.id);
+    if (!hook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    const delivery = await webhooks.deliverNow(hook, 'ping', {
+      webhook: { id: hook.id, events: hook.events },
+      user: { id: req.user.id, name: req.user.name }
+    }, req.plan);
+    res.json(delivery);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Puts a delivery back in the queue with a fresh set of retries
+planApi.post('/webhooks/:id/deliveries/:deliveryId/retry', requireAuth('admin'), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  try {
+    const hook = await store.getWebhook(req.plan.id, req.params.id);
+    const delivery = hook && await store.retryDelivery(hook.id, req.params.deliveryId);
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    webhooks.deliverDue();
+    res.status(202).json(delivery);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Live article changes in one plan as Server-Sent Events: `article` ({ action, article, user })
+// and `reload` (after imports), plus `settings` when an admin changes them and
+// `plans` when plans are added, renamed or removed
+planApi.get('/events', requireAuth(), (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  events.subscribe(req, res, req.plan.id);
+});
+
+// Plan-scoped routes answer under /api/plans/:plan and, for the default plan,
+// directly under /api as they did before there were plans
+app.use('/api/plans/:plan', resolvePlan, planApi);
+app.use('/api', resolvePlan, planApi);
+
+// Plans (admins manage them; everyone can switch between them)
+app.get('/api/plans', requireAuth(), (req, res) => {
+  res.json(plans);
+});
+
+// Settings are optional overrides for the new plan; week 1 starts on the year's first Monday
+app.post('/api/plans', requireAuth('admin'), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  const { slug, name, year, settings = {} } = req.body;
+  const settingsErrors = settings && typeof settings === 'object' && !Array.isArray(settings)
+    ? validateSettings(settings)
+    : { settings: 'must be an object' };
+  const errors = { ...validatePlan({ slug, name, year }), ...settingsErrors };
+  if (Object.keys(errors).length > 0) {
+    return validationFailed(res, errors);
+  }
+  if (findPlan(slug)) {
+    return res.status(409).json({ error: `Plan ${slug} already exists` });
+  }
+  try {
+    const plan = await store.createPlan({ slug, name: name.trim(), year }, { plan_start_date: firstMonday(year), ...settings });
+    await loadPlans();
+    events.publish('plans', plans);
+    res.status(201).json(plan);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rename; the year stays, since the schedule hangs off it (clone into a new year instead)
+app.patch('/api/plans/:plan', requireAuth('admin'), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  const plan = findPlan(req.params.plan);
+  if (!plan) {
+    return res.status(404).json({ error: 'Plan not found' });
+  }
+  const { slug, name } = req.body;
+  const errors = {
+    ...validatePlan({ slug, name }, { partial: true }),
+    ...(req.body.year !== undefined && { year: 'cannot be changed; clone the plan into another year instead' })
+  };
+  if (Object.keys(errors).length > 0) {
+    return validationFailed(res, errors);
+  }
+  if (slug !== undefined && slug !== plan.slug && findPlan(slug)) {
+    return res.status(409).json({ error: `Plan ${slug} already exists` });
+  }
+  try {
+    const updated = await store.updatePlan(plan.id, { slug, name: name?.trim() });
+    await loadPlans();
+    events.publish('plans', plans);
+    res.json(updated);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/plans/:plan', requireAuth('admin'), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  const plan = findPlan(req.params.plan);
+  if (!plan) {
+    return res.status(404).json({ error: 'Plan not found' });
+  }
+  if (plans.length === 1) {
+    return res.status(400).json({ error: 'Cannot delete the only plan' });
+  }
+  try {
+    await store.deletePlan(plan.id);
+    planSettings.delete(plan.id);
+    await loadPlans();
+    events.publish('plans', plans);
+    res.json({ success: true });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Copies a plan into another year (next year by default): same articles and links,
+// all back to planned, with the start date moved to the same point in the new year
+app.post('/api/plans/:plan/clone', requireAuth('admin'), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  const source = findPlan(req.params.plan);
+  if (!source) {
+    return res.status(404).json({ error: 'Plan not found' });
+  }
+  const defaults = nextYearPlan(source);
+  const target = {
+    slug: req.body.slug ?? defaults.slug,
+    name: req.body.name ?? defaults.name,
+    year: req.body.year ?? defaults.year
+  };
+  const errors = validatePlan(target);
+  if (errors) {
+    return validationFailed(res, errors);
+  }
+  if (findPlan(target.slug)) {
+    return res.status(409).json({ error: `Plan ${target.slug} already exists` });
+  }
+  try {
+    const settings = {
+      ...await store.getSettings(source.id),
+      plan_start_date: shiftStartDate(settingsFor(source.id).plan_start_date, source.year, target.year)
+    };
+    const plan = await store.clonePlan(source.id, { ...target, name: target.name.trim() }, settings);
+    const articles = await store.listArticles(plan.id);
+    if (articles.length > 0) {
+      await store.addHistory(articles.flatMap(a => historyEntries(req.user, null, a, 'create')));
+    }
+    await loadPlans();
+    events.publish('plans', plans);
+    res.status(201).json({ ...plan, articles: articles.length });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Current user
+app.get('/api/me', requireAuth(), (req, res) => {
+  res.json(req.user);
+});
+
+// Issues a new calendar subscription URL for the current user (the previous one stops
+// working), for the plan given as ?plan= or the default plan
+app.post('/api/me/calendar-feed', requireAuth(), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  const plan = req.query.plan ? findPlan(req.query.plan) : null;
+  if (req.query.plan && !plan) {
+    return res.status(404).json({ error: 'Plan not found' });
+  }
+  try {
+    const token = await auth.issueFeedToken(store, req.user);
+    res.json({ url: `${baseUrl(req)}/calendar.ics?token=${token}${plan ? `&plan=${plan.slug}` : ''}` });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// iCalendar feed of the publishing schedule, authenticated by feed token
+app.get('/calendar.ics', async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).send('Database not available');
+  }
+  try {
+    const user = await auth.userForFeedToken(store, req.query.token);
+    if (!user) {
+      return res.status(401).send('Invalid token');
+    }
+    const plan = req.query.plan ? findPlan(req.query.plan) : plans[0];
+    if (!plan) {
+      return res.status(404).send('Plan not found');
+    }
+    // assignee=me narrows the feed to the articles the feed's owner is writing
+    const articles = (await store.listArticles(plan.id))
+      .filter(a => req.query.assignee !== 'me' || a.assignee_id === user.id)
+      .map(present);
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `inline; filename="${plan.slug}.ics"`);
+    res.send(buildCalendar(articles, { host: req.hostname }));
+  } catch (err) {
+    console.error(err);
+    res.status(500).send('Could not build calendar');
+  }
+});
+
+// User management (admin only)
+function loginLink(req, token) {
+  return `${baseUrl(req)}/auth?token=${token}`;
+}
+
+function validateUser({ name, role }, { partial = false } = {}) {
+  if (!partial && !name) return 'name is required';
+  if (role !== undefined && !auth.ROLES.includes(role)) return `role must be one of ${auth.ROLES.join(', ')}`;
+  return null;
+}
+
+app.get('/api/users', requireAuth('admin'), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  try {
+    res.json(await store.listUsers());
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.post('/api/users', requireAuth('admin'), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  const error = validateUser(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const { name, email, role } = req.body;
+  try {
+    const { user, token } = await auth.createUser(store, { name, email, role });
+    res.status(201).json({ ...user, link: loginLink(req, token) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.patch('/api/users/:id', requireAuth('admin'), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  const error = validateUser(req.body, { partial: true });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  const { name, email, role } = req.body;
+  try {
+    const user = await store.updateUser(req.params.id, { name, email, role });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(user);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Issues a new login link; the old one and all open sessions stop working
+app.post('/api/users/:id/revoke', requireAuth('admin'), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  try {
+    const result = await auth.revokeUserToken(store, req.params.id);
+    if (!result) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ ...result.user, link: loginLink(req, result.token) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/api/users/:id', requireAuth('admin'), async (req, res) => {
+  if (!store.ready) {
+    return res.status(503).json({ error: 'Database not available' });
+  }
+  if (Number(req.params.id) === req.user.id) {
+    return res.status(400).json({ error: 'You cannot delete your own account' });
+  }
+  try {
+    await store.deleteUser(req.params.id);
+    res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }